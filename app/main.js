@@ -1,5 +1,31 @@
-const { app, BrowserWindow, nativeTheme } = require('electron')
+const { app, BrowserWindow, nativeTheme, ipcMain } = require('electron')
 const path = require('node:path')
+const fs = require('node:fs/promises')
+
+// 抽取历史记录保存在 userData 目录下，每行一条 JSON 记录
+const historyFile = () => path.join(app.getPath('userData'), 'history.jsonl')
+
+ipcMain.handle('history:append', (event, record) =>
+  fs.appendFile(historyFile(), JSON.stringify(record) + '\n')
+)
+
+// 读取全部记录，跳过无法解析的行（如写入中断的最后一行）
+ipcMain.handle('history:load', async () => {
+  let text
+  try {
+    text = await fs.readFile(historyFile(), 'utf8')
+  } catch (e) {
+    if (e.code === 'ENOENT') return []
+    throw e
+  }
+  return text.split('\n').flatMap((line) => {
+    try {
+      return line.trim() ? [JSON.parse(line)] : []
+    } catch (e) {
+      return []
+    }
+  })
+})
 
 const createWindow = () => {
   const win = new BrowserWindow({
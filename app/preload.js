@@ -1,3 +1,11 @@
+const { contextBridge, ipcRenderer } = require('electron')
+
+// 历史记录文件由主进程读写，页面通过 window.historyStore 访问
+contextBridge.exposeInMainWorld('historyStore', {
+  append: (record) => ipcRenderer.invoke('history:append', record),
+  load: () => ipcRenderer.invoke('history:load')
+})
+
 window.addEventListener('DOMContentLoaded', () => {
     const replaceText = (selector, text) => {
       const element = document.getElementById(selector)
@@ -7,4 +15,4 @@ window.addEventListener('DOMContentLoaded', () => {
     for (const dependency of ['chrome', 'node', 'electron']) {
       replaceText(`${dependency}-version`, process.versions[dependency])
     }
-  })
\ No newline at end of file
+  })
@@ -0,0 +1,113 @@
+var auto = null; // 自动抽取的状态 { next, left, paused, timer }，未开始时为 null
+
+// 解析抽取时刻，如 "08:30, 9:15"，返回当天的分钟数数组；格式错误时返回 null
+function parseClockTimes(str) {
+  var times = [];
+  for (var item of str.split(/[,，]/)) {
+    item = item.trim();
+    if (!item) continue;
+    var match = /^(\d{1,2})[:：](\d{2})$/.exec(item);
+    if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+    times.push(Number(match[1]) * 60 + Number(match[2]));
+  }
+  return times.length ? times.sort((a, b) => a - b) : null;
+}
+
+// 下一次自动抽取的时间戳，设置有误时返回 null
+function nextAutoTime(now) {
+  if ($("auto-mode").value == "interval") {
+    var value = Number($("auto-interval").value);
+    if (!(value > 0)) return null;
+    return now + value * ($("auto-unit").value == "minutes" ? 60000 : 1000);
+  }
+  var times = parseClockTimes($("auto-times").value);
+  if (!times) return null;
+  var day = new Date(now);
+  day.setHours(0, 0, 0, 0);
+  // 今天的时刻都已过去时取明天的第一个时刻
+  var minute = times.find((m) => day.getTime() + m * 60000 > now);
+  return minute === undefined
+    ? day.getTime() + 86400000 + times[0] * 60000
+    : day.getTime() + minute * 60000;
+}
+
+// 开始自动抽取
+function startAuto() {
+  var next = nextAutoTime(Date.now());
+  if (next === null) return showMessage("自动抽取的间隔或时刻设置有误");
+  auto = { next: next, paused: false, timer: setInterval(autoTick, 250) };
+  updateAutoInfo();
+}
+
+// 暂停或继续：按时刻抽取时继续后从下一个时刻开始，按间隔抽取时继续剩余的时间
+function toggleAuto() {
+  if (!auto) return startAuto();
+  var now = Date.now();
+  if (auto.paused) {
+    auto.next = $("auto-mode").value == "interval" ? now + auto.left : nextAutoTime(now);
+    auto.paused = false;
+  } else {
+    auto.left = auto.next - now;
+    auto.paused = true;
+  }
+  updateAutoInfo();
+}
+
+// 停止自动抽取
+function stopAuto() {
+  if (auto) clearInterval(auto.timer);
+  auto = null;
+  updateAutoInfo();
+}
+
+// 每 250ms 检查一次是否到时间，到时间后抽取并计算下一次的时间
+function autoTick() {
+  if (auto.paused) return;
+  var now = Date.now();
+  if (now >= auto.next) {
+    // 上一次还在滚动时等它结束
+    if (engine.busy()) return;
+    getNum();
+    // 手动模式下也按时间延迟自动停止
+    if (engine.state == "rolling" && $("manual").checked)
+      setTimeout(() => engine.stop(), Number($("settime").value));
+    auto.next = nextAutoTime(now);
+    if (auto.next === null) return stopAuto();
+  }
+  updateAutoInfo();
+}
+
+// 倒计时文本，如 "01:05" 或 "1:02:05"
+function formatCountdown(ms) {
+  var s = Math.max(0, Math.ceil(ms / 1000)),
+    h = Math.floor(s / 3600),
+    mm = String(Math.floor((s % 3600) / 60)).padStart(2, "0"),
+    ss = String(s % 60).padStart(2, "0");
+  return (h ? h + ":" : "") + mm + ":" + ss;
+}
+
+// 在主页显示倒计时和控制按钮，未开启自动抽取时隐藏
+function updateAutoInfo() {
+  $("auto-info").style.display = $("auto-mode").value == "off" ? "none" : "";
+  $("auto-countdown").textContent = !auto
+    ? "--:--"
+    : formatCountdown(auto.paused ? auto.left : auto.next - Date.now());
+  $("auto-toggle").textContent = !auto ? "开始" : auto.paused ? "继续" : "暂停";
+  $("auto-stop").disabled = !auto;
+}
+
+// 只显示当前自动抽取方式需要的设置项
+function showAutoFields() {
+  var mode = $("auto-mode").value;
+  $("auto-interval-fields").style.display = mode == "interval" ? "flex" : "none";
+  $("auto-times").style.display = mode == "times" ? "" : "none";
+  updateAutoInfo();
+}
+
+// 自动抽取设置变化时停止当前的自动抽取
+function autoChanged() {
+  stopAuto();
+  showAutoFields();
+  storage(0);
+  showSettingsSavedSnackbar();
+}
@@ -0,0 +1,42 @@
+// 均衡模式：记录每个数字的历史抽中次数，跨越重启保存在 localStorage 中
+// 不同的范围和名单分别记录，互不影响
+
+// 当前范围或名单对应的记录名称，名单按内容区分
+function balanceKey() {
+  if ($("roster-mode").checked)
+    return "roster:" + hashSeed(localStorage.getItem("roster") || "")[0].toString(36);
+  return $("num").value + "|" + $("precision").value;
+}
+
+function loadAllBalance() {
+  return JSON.parse(localStorage.getItem("balance") || "{}");
+}
+
+// 是否使用均衡模式：种子模式下抽中次数会随每次抽取变化，重放时无法复现，因此不使用
+function balanceActive() {
+  return $("balanced").checked && !$("seeded").checked;
+}
+
+// 当前范围各数字的历史抽中次数 { 数字: 次数 }
+function loadBalance() {
+  return loadAllBalance()[balanceKey()] || {};
+}
+
+// 将数字的抽中次数加上 delta，作废结果时 delta 为 -1
+function addBalance(values, delta) {
+  var all = loadAllBalance(),
+    counts = (all[balanceKey()] = all[balanceKey()] || {});
+  values.forEach((value) => {
+    counts[value] = (counts[value] || 0) + delta;
+    if (counts[value] <= 0) delete counts[value];
+  });
+  localStorage.setItem("balance", JSON.stringify(all));
+}
+
+// 清空当前范围的均衡记录
+function resetBalance() {
+  var all = loadAllBalance();
+  delete all[balanceKey()];
+  localStorage.setItem("balance", JSON.stringify(all));
+  showMessage("已清空当前范围的均衡记录");
+}
@@ -0,0 +1,197 @@
+var bracket = null; // 对阵表模式下的当前对阵 { key, type, rounds: [[{ a, b, winner }]] }
+// 对阵双方为数字；null 表示轮空，undefined 表示等待上一轮的胜者
+
+// 单败淘汰的种子顺序：相邻两个种子为第一轮的一场比赛，1 号与 2 号种子只会在决赛相遇
+function seedOrder(size) {
+  var order = [1];
+  while (order.length < size) {
+    var n = order.length * 2 + 1;
+    order = order.flatMap((seed) => [seed, n - seed]);
+  }
+  return order;
+}
+
+// 单败淘汰：人数不是 2 的幂时，靠前的种子第一轮轮空直接晋级
+function eliminationRounds(players) {
+  var size = 1;
+  while (size < players.length) size *= 2;
+
+  var order = seedOrder(size),
+    first = [];
+  for (var i = 0; i < size; i += 2) {
+    first.push({
+      a: order[i] <= players.length ? players[order[i] - 1] : null,
+      b: order[i + 1] <= players.length ? players[order[i + 1] - 1] : null,
+    });
+  }
+  var rounds = [first];
+  for (var n = size / 4; n >= 1; n /= 2) {
+    rounds.push(Array.from({ length: n }, () => ({ a: undefined, b: undefined })));
+  }
+  // 轮空的比赛直接晋级
+  first.forEach((match, j) => {
+    if (match.a === null || match.b === null) setWinner(rounds, 0, j, match.a === null ? match.b : match.a);
+  });
+  return rounds;
+}
+
+// 单循环：轮转法排出每轮对阵，人数为奇数时每轮有一人轮空
+function roundRobinRounds(players) {
+  var list = players.slice();
+  if (list.length % 2) list.push(null);
+  var rounds = [];
+  for (var r = 0; r < list.length - 1; r++) {
+    var round = [];
+    for (var i = 0; i < list.length / 2; i++) {
+      var a = list[i],
+        b = list[list.length - 1 - i];
+      if (a !== null && b !== null) round.push({ a: a, b: b });
+    }
+    rounds.push(round);
+    list.splice(1, 0, list.pop()); // 固定第一人，其余顺时针轮转
+  }
+  return rounds;
+}
+
+// 单败淘汰中设置第 r 轮第 j 场的胜者：胜者进入下一轮，并清除此后受影响的结果
+function setWinner(rounds, r, j, winner) {
+  var match = rounds[r][j],
+    previous = match.winner;
+  match.winner = winner;
+  if (r + 1 >= rounds.length || previous === winner) return;
+
+  var next = rounds[r + 1][j >> 1];
+  if (next.winner !== undefined) setWinner(rounds, r + 1, j >> 1, undefined);
+  next[j % 2 ? "b" : "a"] = winner;
+}
+
+// 按当前抽取池随机排定对阵；对阵表已存在且未变化时保留已有的结果
+function makeBracket(pool) {
+  var total = poolAvailable(pool),
+    type = $("bracket-type").value;
+  if (total < 2) return showMessage("至少需要两个数字才能排定对阵");
+  if (total > (type == "robin" ? 64 : 256)) return showMessage("当前范围内的数字过多，无法排定对阵");
+
+  if (!bracket || bracket.key != pool.key || bracket.type != type) {
+    var players = [];
+    for (var k = 0; k < total; k++) players.push(poolNth(pool, k));
+    engine.shuffle(players);
+    bracket = { key: pool.key, type: type };
+    bracket.rounds = type == "robin" ? roundRobinRounds(players) : eliminationRounds(players);
+    addBoardHistory(type == "robin" ? "循环赛" : "淘汰赛", bracketText());
+  }
+  renderBracket();
+}
+
+// 轮次名称，单败淘汰的最后两轮为半决赛和决赛
+function roundName(r) {
+  var left = bracket.rounds.length - r;
+  if (bracket.type != "robin" && left == 1) return "决赛";
+  if (bracket.type != "robin" && left == 2) return "半决赛";
+  return "第 " + (r + 1) + " 轮";
+}
+
+function playerLabel(player) {
+  return player === null ? "轮空" : player === undefined ? "待定" : fullLabelOf(player);
+}
+
+// 对阵表的文本，用于复制和记录
+function bracketText() {
+  return bracket.rounds
+    .map(
+      (round, r) =>
+        roundName(r) +
+        "：" +
+        round
+          .map((match) => {
+            var text = playerLabel(match.a) + " vs " + playerLabel(match.b);
+            return match.winner != null ? text + "（" + fullLabelOf(match.winner) + " 胜）" : text;
+          })
+          .join("，")
+    )
+    .join("\n");
+}
+
+// 循环赛积分：每人的胜场数，按胜场从多到少排列
+function standings() {
+  var wins = new Map();
+  bracket.rounds.forEach((round) =>
+    round.forEach((match) => {
+      [match.a, match.b].forEach((p) => wins.set(p, wins.get(p) || 0));
+      if (match.winner != null) wins.set(match.winner, wins.get(match.winner) + 1);
+    })
+  );
+  return Array.from(wins).sort((x, y) => y[1] - x[1]);
+}
+
+// 在主页显示对阵表，点击选手将其设为该场的胜者
+function renderBracket() {
+  const content = $("board-content");
+  content.innerHTML = "";
+  const wrap = document.createElement("div");
+  wrap.className = "bracket " + bracket.type;
+
+  bracket.rounds.forEach((round, r) => {
+    const column = document.createElement("div");
+    column.className = "bracket-round";
+    const title = document.createElement("div");
+    title.className = "board-card-title";
+    title.textContent = roundName(r);
+    column.appendChild(title);
+
+    round.forEach((match, j) => {
+      const card = document.createElement("mdui-card");
+      card.variant = "filled";
+      card.className = "board-card bracket-match";
+      [match.a, match.b].forEach((player) => {
+        const chip = document.createElement("mdui-chip");
+        chip.textContent = playerLabel(player);
+        if (player == null) chip.disabled = true;
+        else {
+          if (match.winner === player) chip.classList.add("winner");
+          else if (match.winner != null) chip.classList.add("loser");
+          // 双方都确定后才能选择胜者，再次点击胜者可取消
+          chip.onclick = () => {
+            if (match.a == null || match.b == null) return;
+            var winner = match.winner === player ? undefined : player;
+            if (bracket.type == "robin") match.winner = winner;
+            else setWinner(bracket.rounds, r, j, winner);
+            renderBracket();
+          };
+        }
+        card.appendChild(chip);
+      });
+      column.appendChild(card);
+    });
+    wrap.appendChild(column);
+  });
+
+  // 冠军或循环赛积分
+  const result = document.createElement("div");
+  result.className = "bracket-round";
+  const title = document.createElement("div");
+  title.className = "board-card-title";
+  const card = document.createElement("mdui-card");
+  card.variant = "filled";
+  card.className = "board-card";
+  if (bracket.type == "robin") {
+    title.textContent = "积分";
+    standings().forEach(([player, wins]) => {
+      const chip = document.createElement("mdui-chip");
+      chip.textContent = fullLabelOf(player) + " · " + wins + " 胜";
+      card.appendChild(chip);
+    });
+  } else {
+    var champion = bracket.rounds[bracket.rounds.length - 1][0].winner;
+    title.textContent = "冠军";
+    const chip = document.createElement("mdui-chip");
+    chip.textContent = playerLabel(champion);
+    if (champion != null) chip.classList.add("winner");
+    card.appendChild(chip);
+  }
+  result.append(title, card);
+  wrap.appendChild(result);
+
+  content.appendChild(wrap);
+  $("board").dataset.copy = bracketText();
+}
@@ -0,0 +1,533 @@
+// 抽取引擎：负责随机数、抽取池和抽取流程，不访问 DOM，也可在 Node 下使用（如自动化测试）
+// 抽取状态依次为 idle（空闲）→ rolling（滚动中）→ stopping（停止中，结果已确定）→ done（完成）
+// 每次状态变化都会触发同名事件；抽取池为空时触发 exhausted 事件
+// stopping 事件附带结果和 settle（到 done 为止的毫秒数），界面可据此播放减速动画
+
+// 由种子字符串计算 128 位初始状态（cyrb128）
+function hashSeed(str) {
+  var h1 = 1779033703,
+    h2 = 3144134277,
+    h3 = 1013904242,
+    h4 = 2773480762;
+  for (var i = 0, k; i < str.length; i++) {
+    k = str.charCodeAt(i);
+    h1 = h2 ^ Math.imul(h1 ^ k, 597399067);
+    h2 = h3 ^ Math.imul(h2 ^ k, 2869860233);
+    h3 = h4 ^ Math.imul(h3 ^ k, 951274213);
+    h4 = h1 ^ Math.imul(h4 ^ k, 2716044813);
+  }
+  h1 = Math.imul(h3 ^ (h1 >>> 18), 597399067);
+  h2 = Math.imul(h4 ^ (h2 >>> 22), 2869860233);
+  h3 = Math.imul(h1 ^ (h3 >>> 17), 951274213);
+  h4 = Math.imul(h2 ^ (h4 >>> 19), 2716044813);
+  h1 ^= h2 ^ h3 ^ h4;
+  return [h1 >>> 0, (h2 ^ h1) >>> 0, (h3 ^ h1) >>> 0, (h4 ^ h1) >>> 0];
+}
+
+// 创建以 seed 为种子的伪随机数生成器（sfc32），每次调用返回一个 32 位无符号整数
+function createSeededRandom(seed) {
+  var [a, b, d, e] = hashSeed(String(seed));
+  var next = function () {
+    var tmp = (((a + b) | 0) + e) | 0;
+    e = (e + 1) | 0;
+    a = b ^ (b >>> 9);
+    b = (d + (d << 3)) | 0;
+    d = (d << 21) | (d >>> 11);
+    d = (d + tmp) | 0;
+    return tmp >>> 0;
+  };
+  for (var i = 0; i < 15; i++) next(); // 丢弃前几个输出，使状态充分混合
+  return next;
+}
+
+// 将数字文本换算为以 10^-precision 为单位的整数，小数位数超过精度时返回 NaN
+function toUnits(text, precision) {
+  var decimals = (text.split(".")[1] || "").length;
+  if (decimals > precision) return NaN;
+  return Math.round(Number(text) * Math.pow(10, precision));
+}
+
+// 解析抽取范围，如 "1-20, 31-40, 45, 50-60/2"（/2 表示间隔为 2），支持负数和小数，如 "-10-10"、"0.0-1.0"
+// 成功时返回 { segments, scale, overlapping }，segments 中的数值均为以 1/scale 为单位的整数
+// 失败时返回 { error, start, end }，start/end 为出错内容在输入中的位置
+function parseRange(str, precision) {
+  var segments = [],
+    scale = Math.pow(10, precision),
+    total = 0,
+    overlapping = false,
+    pos = 0;
+  if (!str.trim()) return { error: "请输入抽取范围", start: 0, end: str.length };
+  for (var part of str.split(",")) {
+    var token = part.trim(),
+      start = pos + part.length - part.trimStart().length,
+      end = start + token.length;
+    pos += part.length + 1;
+    if (!token) return { error: "逗号之间缺少内容", start: start, end: end };
+
+    var match =
+      /^(-?\d+(?:\.\d+)?)(?:-(-?\d+(?:\.\d+)?)(?:\/(\d+(?:\.\d+)?))?)?$/.exec(
+        token
+      );
+    if (!match) return { error: "“" + token + "” 格式错误", start: start, end: end };
+    var a = toUnits(match[1], precision),
+      b = match[2] === undefined ? a : toUnits(match[2], precision),
+      step = match[3] === undefined ? 1 : toUnits(match[3], precision);
+    if (isNaN(a) || isNaN(b) || isNaN(step))
+      return {
+        error: "“" + token + "” 的小数位数超过了小数位数设置",
+        start: start,
+        end: end,
+      };
+    if (step < 1)
+      return { error: "“" + token + "” 的间隔必须大于 0", start: start, end: end };
+
+    var segment = { from: Math.min(a, b), to: Math.max(a, b), step: step };
+    if (
+      !Number.isSafeInteger(segment.from) ||
+      !Number.isSafeInteger(segment.to) ||
+      !Number.isSafeInteger(segment.to - segment.from)
+    )
+      return { error: "“" + token + "” 超出了可抽取的范围（2^53）", start: start, end: end };
+    total += Math.floor((segment.to - segment.from) / step) + 1;
+    if (!Number.isSafeInteger(total))
+      return { error: "范围内的数字过多（最多 2^53 个）", start: start, end: end };
+
+    // 各段重叠时需要展开去重，仅在数字不多时允许
+    if (segments.some((other) => other.from <= segment.to && segment.from <= other.to))
+      overlapping = true;
+    if (overlapping && total > 1000000)
+      return { error: "范围较大时各段不能重叠", start: start, end: end };
+    segments.push(segment);
+  }
+  return { segments: segments, scale: scale, overlapping: overlapping };
+}
+
+// 解析权重设置，格式为 "5:2, 10-15:0.5"，格式错误时返回 null
+function parseWeights(str) {
+  var rules = [];
+  for (var item of str.split(",")) {
+    item = item.trim();
+    if (!item) continue;
+    var match = /^(-?\d+(?:\.\d+)?)(?:-(-?\d+(?:\.\d+)?))?:(\d+(?:\.\d+)?)$/.exec(
+      item
+    );
+    if (!match || !(Number(match[3]) > 0)) return null;
+    var a = Number(match[1]),
+      b = match[2] === undefined ? a : Number(match[2]);
+    rules.push({
+      from: Math.min(a, b),
+      to: Math.max(a, b),
+      weight: Number(match[3]),
+    });
+  }
+  return rules;
+}
+
+// 获取数字的权重，多条规则重叠时以后面的为准
+function weightOf(num, rules) {
+  var weight = 1;
+  rules.forEach((rule) => {
+    if (num >= rule.from && num <= rule.to) weight = rule.weight;
+  });
+  return weight;
+}
+
+// 抽取池：由若干互不重叠的段组成，不展开为数组，抽取开销与范围大小无关
+// 每段为等差数列 { from, step, size } 或有序数组 { list, size }，数值均以 1/scale 为单位
+// removed 为已移除（排除或本轮已抽取）的数字在池中位置的有序数组
+function createPool(range) {
+  var segments = range.segments,
+    offset = 0;
+
+  // 各段有重叠时展开为去重后的有序数组（parseRange 已保证此时数量不多）
+  if (range.overlapping) {
+    var units = new Set();
+    segments.forEach((segment) => {
+      for (let u = segment.from; u <= segment.to; u += segment.step) units.add(u);
+    });
+    segments = [{ list: Array.from(units).sort((a, b) => a - b) }];
+  }
+
+  var parts = segments.map((segment) => {
+    var part = segment.list
+      ? { list: segment.list, size: segment.list.length }
+      : {
+          from: segment.from,
+          step: segment.step,
+          size: Math.floor((segment.to - segment.from) / segment.step) + 1,
+        };
+    part.offset = offset;
+    offset += part.size;
+    return part;
+  });
+
+  return { parts: parts, scale: range.scale, size: offset, removed: [] };
+}
+
+// 有序数组中第一个不小于 x 的位置
+function sortedIndex(arr, x) {
+  var lo = 0,
+    hi = arr.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >>> 1;
+    if (arr[mid] < x) lo = mid + 1;
+    else hi = mid;
+  }
+  return lo;
+}
+
+// 池中剩余可抽取的数字个数
+function poolAvailable(pool) {
+  return pool.size - pool.removed.length;
+}
+
+// 数字（以 1/scale 为单位）在池中的位置，不在池中时返回 -1
+function poolIndexOf(pool, units) {
+  for (var part of pool.parts) {
+    if (part.list) {
+      var i = sortedIndex(part.list, units);
+      if (part.list[i] === units) return part.offset + i;
+    } else {
+      var d = units - part.from;
+      if (d >= 0 && d % part.step == 0 && d / part.step < part.size)
+        return part.offset + d / part.step;
+    }
+  }
+  return -1;
+}
+
+// 池中位置 pos 上的数字（以 1/scale 为单位）
+function poolValueAt(pool, pos) {
+  var part = pool.parts.find((p) => pos < p.offset + p.size),
+    i = pos - part.offset;
+  return part.list ? part.list[i] : part.from + i * part.step;
+}
+
+// 剩余数字中的第 k 个（从 0 开始）
+// removed[j] - j 单调不减，二分找出排在它之前的已移除位置个数
+function poolNth(pool, k) {
+  var removed = pool.removed,
+    lo = 0,
+    hi = removed.length;
+  while (lo < hi) {
+    var mid = (lo + hi) >>> 1;
+    if (removed[mid] - mid <= k) lo = mid + 1;
+    else hi = mid;
+  }
+  return poolValueAt(pool, k + lo) / pool.scale;
+}
+
+// 从池中移除一个数字，不在池中的数字将被忽略
+function poolRemove(pool, num) {
+  var units = Math.round(num * pool.scale);
+  if (units / pool.scale !== num) return;
+  var pos = poolIndexOf(pool, units);
+  if (pos < 0) return;
+  var i = sortedIndex(pool.removed, pos);
+  if (pool.removed[i] !== pos) pool.removed.splice(i, 0, pos);
+}
+
+// 按权重直接抽取池中的一个数字：依次累计各数字的权重，取随机位置落在的数字
+// counts 为均衡模式下的抽中次数，每比池中最少的多抽中一次，权重减半；每次抽取都重新计算最少次数
+function weightedPick(pool, rules, engine, counts) {
+  var nums = [],
+    floor = Infinity;
+  for (var k = 0; k < poolAvailable(pool); k++) {
+    var num = poolNth(pool, k);
+    nums.push(num);
+    if (counts) floor = Math.min(floor, counts[num] || 0);
+  }
+  var sum = 0,
+    cumulative = nums.map(
+      (num) =>
+        (sum +=
+          weightOf(num, rules) * (counts ? Math.pow(0.5, (counts[num] || 0) - floor) : 1))
+    ),
+    x = engine.randomFloat() * sum,
+    i = cumulative.findIndex((c) => x < c);
+  return nums[i < 0 ? nums.length - 1 : i];
+}
+
+// 池中数字权重的上界：与池的数值范围重叠的规则的最大权重
+// 规则没有连续覆盖整个范围时，可能有数字没有规则（权重为 1），上界至少为 1
+function maxWeightOf(pool, rules) {
+  var min = Infinity,
+    max = -Infinity;
+  pool.parts.forEach((part) => {
+    if (!part.size) return;
+    var first = part.list ? part.list[0] : part.from,
+      last = part.list ? part.list[part.size - 1] : part.from + (part.size - 1) * part.step;
+    min = Math.min(min, first / pool.scale);
+    max = Math.max(max, last / pool.scale);
+  });
+  var overlapping = rules.filter((rule) => rule.from <= max && rule.to >= min),
+    bound = overlapping.reduce((m, rule) => Math.max(m, rule.weight), 0),
+    covered = min; // 已被规则连续覆盖到的位置
+  overlapping
+    .slice()
+    .sort((a, b) => a.from - b.from)
+    .forEach((rule) => {
+      // 池中的数字都是 1/scale 的整数倍，间隔不超过 1/scale 的两条规则之间没有数字
+      if ((rule.from - covered) * pool.scale <= 1 + 1e-9) covered = Math.max(covered, rule.to);
+    });
+  return covered >= max ? bound : Math.max(bound, 1);
+}
+
+// 只保留满足 test(num) 的数字，返回新的抽取池；剩余数字超过 100 万个时返回 null
+// 各段可能不按大小排列（如 "20-30, 1-10"），而 createPool 要求列表有序，因此排序去重
+function filterPool(pool, test) {
+  var total = poolAvailable(pool),
+    units = new Set();
+  if (total > 1000000) return null;
+  for (var k = 0; k < total; k++) {
+    var num = poolNth(pool, k);
+    if (test(num)) units.add(Math.round(num * pool.scale));
+  }
+  var list = Array.from(units).sort((a, b) => a - b);
+  return createPool({ segments: [{ list: list }], scale: pool.scale });
+}
+
+// 直接按权重抽取时池中数字的上限，每次抽取都要遍历整个池
+const WEIGHTED_PICK_LIMIT = 10000;
+
+// 从池中不重复地抽取 n 个数，抽到的数字会从池中移除
+// 设置了权重或均衡时，池不大（或池中所有数字都有抽中记录）时按权重直接抽取（见 weightedPick）
+// 否则进行拒绝采样：以 权重/池中最大权重 的概率接受抽到的数字
+// counts 为均衡模式下各数字的历史抽中次数，拒绝采样时池中最少次数为 0，抽中过 c 次的权重乘以 2^-c
+function drawFromPool(pool, n, rules, engine, counts) {
+  var picked = [],
+    weighted = rules.length || counts,
+    maxWeight = rules.length ? maxWeightOf(pool, rules) : 1;
+  n = Math.min(n, poolAvailable(pool));
+  while (picked.length < n) {
+    var num,
+      total = poolAvailable(pool);
+    if (
+      weighted &&
+      (total <= WEIGHTED_PICK_LIMIT || (counts && Object.keys(counts).length >= total))
+    ) {
+      num = weightedPick(pool, rules, engine, counts);
+    } else {
+      num = poolNth(pool, engine.randomInt(total));
+      var weight = weightOf(num, rules);
+      if (counts) weight *= Math.pow(0.5, counts[num] || 0);
+      if (weighted && engine.randomFloat() * maxWeight >= weight) continue;
+    }
+    poolRemove(pool, num);
+    picked.push(num);
+  }
+  return picked;
+}
+
+function createDrawEngine() {
+  var engine = {
+      state: "idle",
+      history: [], // 本轮已抽取的数字
+      seed: null, // 种子模式下当前序列的种子
+      result: [], // 最近一次抽取的结果
+      recent: [], // 抽取记录 { value, time, draw }，不随本轮清空，用于冷却
+      draws: 0, // 已抽取的次数
+    },
+    listeners = {},
+    next = null, // 种子模式下的伪随机数生成器
+    pool = null,
+    options = null,
+    timer = null;
+
+  // 订阅事件
+  engine.on = function (type, listener) {
+    (listeners[type] = listeners[type] || []).push(listener);
+  };
+
+  function emit(type, detail) {
+    (listeners[type] || []).forEach((listener) => listener(detail));
+  }
+
+  function setState(state, detail) {
+    engine.state = state;
+    emit(state, detail);
+  }
+
+  // 是否正在抽取
+  engine.busy = function () {
+    return engine.state == "rolling" || engine.state == "stopping";
+  };
+
+  // 生成一个 32 位无符号随机整数
+  // 默认使用 crypto.getRandomValues，种子模式下使用可复现的伪随机数
+  engine.randomUint32 = function () {
+    if (next) return next();
+    var buf = new Uint32Array(1);
+    crypto.getRandomValues(buf);
+    return buf[0];
+  };
+
+  // 生成 [0, n) 内的随机整数，n 最大为 2^53
+  // 采用拒绝采样：丢弃末尾不足一整轮的取值，保证每个下标的概率完全相等
+  engine.randomInt = function (n) {
+    var range = n > 0x100000000 ? 9007199254740992 : 0x100000000,
+      limit = range - (range % n),
+      x;
+    do {
+      x = engine.randomUint32();
+      // n 超过 2^32 时拼接出 53 位随机整数
+      if (range > 0x100000000)
+        x = (engine.randomUint32() & 0x1fffff) * 0x100000000 + x;
+    } while (x >= limit);
+    return x % n;
+  };
+
+  // 生成 [0, 1) 内的随机小数（53 位精度）
+  engine.randomFloat = function () {
+    var hi = engine.randomUint32() >>> 5,
+      lo = engine.randomUint32() >>> 6;
+    return (hi * 67108864 + lo) / 9007199254740992;
+  };
+
+  // 将数组随机打乱（Fisher-Yates）
+  engine.shuffle = function (arr) {
+    for (var i = arr.length - 1; i > 0; i--) {
+      var j = engine.randomInt(i + 1);
+      [arr[i], arr[j]] = [arr[j], arr[i]];
+    }
+    return arr;
+  };
+
+  // 使用种子开始新的可复现序列，同时清空本轮记录和冷却记录，使冷却只取决于本序列中的抽取
+  engine.useSeed = function (seed) {
+    engine.seed = seed;
+    next = createSeededRandom(seed);
+    engine.history = [];
+    engine.recent = [];
+  };
+
+  // 退出种子模式，或使下次抽取时重新开始种子序列
+  engine.clearSeed = function () {
+    engine.seed = null;
+    next = null;
+  };
+
+  // 记入本轮已抽取的数字，同时记下抽取时间和次数用于冷却
+  engine.record = function (values) {
+    var now = Date.now();
+    engine.draws++;
+    engine.history.push(...values);
+    values.forEach((value) => engine.recent.push({ value: value, time: now, draw: engine.draws }));
+  };
+
+  // 正在冷却的数字：最近 cooldown.draws 次抽取或 cooldown.minutes 分钟内抽到过的数字
+  engine.cooling = function (cooldown) {
+    var since = Date.now() - (cooldown.minutes || 0) * 60000,
+      values = engine.recent
+        .filter(
+          (item) =>
+            item.draw > engine.draws - (cooldown.draws || 0) ||
+            (cooldown.minutes > 0 && item.time > since)
+        )
+        .map((item) => item.value);
+    return Array.from(new Set(values));
+  };
+
+  // 从本轮记录中移除数字（如作废的结果），每个值只移除最近的一次
+  engine.unrecord = function (values) {
+    values.forEach((value) => {
+      var i = engine.history.lastIndexOf(value);
+      if (i != -1) engine.history.splice(i, 1);
+      i = engine.recent.findLastIndex((item) => item.value === value);
+      if (i != -1) engine.recent.splice(i, 1);
+    });
+  };
+
+  // 清空本轮记录
+  engine.clearHistory = function () {
+    engine.history = [];
+  };
+
+  // 开始抽取，opts 为 { count, rules, balance, repeat, cooldown, manual, duration, settle }
+  // balance 为均衡模式下各数字的历史抽中次数，抽中次数越多的数字概率越低
+  // repeat 为 true 时本轮不重复；cooldown 为 { draws, minutes }，冷却中的数字暂不抽取
+  // manual 为 true 时需调用 stop() 停止，否则 duration 毫秒后自动停止
+  // settle 为 stopping 到 done 之间的毫秒数，为 0 时立即完成
+  // 抽取池为空时清空本轮记录、触发 exhausted 事件并返回 false
+  engine.start = function (drawPool, opts) {
+    if (engine.busy()) return false;
+    if (opts.repeat) engine.history.forEach((num) => poolRemove(drawPool, num));
+    if (poolAvailable(drawPool) == 0) {
+      engine.history = [];
+      setState("idle");
+      emit("exhausted");
+      return false;
+    }
+    // 全部数字都在冷却时忽略冷却，避免无数可抽
+    if (opts.cooldown) {
+      var removed = drawPool.removed.slice();
+      engine.cooling(opts.cooldown).forEach((num) => poolRemove(drawPool, num));
+      if (poolAvailable(drawPool) == 0) drawPool.removed = removed;
+    }
+    pool = drawPool;
+    options = opts;
+    setState("rolling", { pool: pool });
+    if (!opts.manual) timer = setTimeout(engine.stop, opts.duration);
+    return true;
+  };
+
+  // 滚动过程中用于显示的数字，使用普通随机数即可
+  engine.preview = function () {
+    var values = [],
+      n = Math.min(options.count, poolAvailable(pool));
+    for (var i = 0; i < n; i++) {
+      values.push(poolNth(pool, Math.floor(Math.random() * poolAvailable(pool))));
+    }
+    return values;
+  };
+
+  // 停止滚动并确定结果
+  engine.stop = function () {
+    if (engine.state != "rolling") return;
+    clearTimeout(timer);
+    engine.result = drawFromPool(
+      pool,
+      options.count,
+      options.rules || [],
+      engine,
+      options.balance
+    );
+    engine.record(engine.result);
+    setState("stopping", { values: engine.result, settle: options.settle || 0 });
+    if (options.settle) timer = setTimeout(engine.finish, options.settle);
+    else engine.finish();
+  };
+
+  // 完成本次抽取
+  engine.finish = function () {
+    if (engine.state != "stopping") return;
+    clearTimeout(timer);
+    setState("done", { values: engine.result });
+  };
+
+  // 中止当前抽取并清空本轮记录
+  engine.reset = function () {
+    clearTimeout(timer);
+    engine.history = [];
+    engine.result = [];
+    setState("idle");
+  };
+
+  return engine;
+}
+
+if (typeof module != "undefined") {
+  module.exports = {
+    createDrawEngine,
+    createSeededRandom,
+    parseRange,
+    parseWeights,
+    weightOf,
+    createPool,
+    poolAvailable,
+    poolNth,
+    poolRemove,
+    filterPool,
+    drawFromPool,
+  };
+}
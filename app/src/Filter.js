@@ -0,0 +1,125 @@
+// 筛选条件：用简单的表达式限定抽取池中的数字，如 "n % 2 == 0"、"n % 3 == 0 && n > 10"
+// 支持 n、数字、+ - * / %、比较运算、&& || !、括号，以及 digitsum(n)、abs(n) 函数
+// 表达式被解析为函数调用，不使用 eval，无法访问其他变量
+
+const filterFunctions = {
+  // 各位数字之和（忽略符号和小数点）
+  digitsum: (x) =>
+    String(Math.abs(x))
+      .replace(/\D/g, "")
+      .split("")
+      .reduce((sum, d) => sum + Number(d), 0),
+  abs: Math.abs,
+};
+
+const filterOperators = {
+  "||": (a, b) => a || b,
+  "&&": (a, b) => a && b,
+  "==": (a, b) => a == b,
+  "!=": (a, b) => a != b,
+  "<=": (a, b) => a <= b,
+  ">=": (a, b) => a >= b,
+  "<": (a, b) => a < b,
+  ">": (a, b) => a > b,
+  "+": (a, b) => a + b,
+  "-": (a, b) => a - b,
+  "*": (a, b) => a * b,
+  "/": (a, b) => a / b,
+  "%": (a, b) => a % b,
+};
+
+// 解析筛选表达式，成功时返回 { test }，test(n) 为 true 表示保留该数字
+// 格式错误时返回 { error, start, end }，start/end 为出错位置
+function compileFilter(str) {
+  var tokens = [],
+    re = /\s*(?:(\d+(?:\.\d+)?)|([a-zA-Z_]\w*)|(\|\||&&|==|!=|<=|>=|[-+*/%<>!()=]))/y,
+    pos = 0,
+    match;
+  while (pos < str.length && (match = re.exec(str))) {
+    var end = (pos = re.lastIndex),
+      text = match[0].trim();
+    tokens.push({ text: text == "=" ? "==" : text, start: end - text.length, end: end });
+    if (match[1] !== undefined) tokens[tokens.length - 1].value = Number(match[1]);
+  }
+  if (str.slice(pos).trim()) {
+    var at = pos + str.slice(pos).search(/\S/);
+    return { error: "无法识别的字符", start: at, end: at + 1 };
+  }
+  if (!tokens.length) return { error: "筛选条件为空", start: 0, end: str.length };
+
+  var i = 0;
+  function fail(message) {
+    var token = tokens[i] || { start: str.length, end: str.length };
+    throw { error: message, start: token.start, end: token.end };
+  }
+  function peek() {
+    return tokens[i] && tokens[i].text;
+  }
+  // 左结合的二元运算，levels 为从低到高的优先级
+  var levels = [["||"], ["&&"], ["==", "!=", "<=", ">=", "<", ">"], ["+", "-"], ["*", "/", "%"]];
+  function binary(level) {
+    if (level == levels.length) return unary();
+    var left = binary(level + 1);
+    while (levels[level].includes(peek())) {
+      let op = filterOperators[tokens[i++].text],
+        a = left,
+        b = binary(level + 1);
+      left = (n) => op(a(n), b(n));
+    }
+    return left;
+  }
+  function unary() {
+    if (peek() == "!") {
+      i++;
+      let a = unary();
+      return (n) => !a(n);
+    }
+    if (peek() == "-") {
+      i++;
+      let a = unary();
+      return (n) => -a(n);
+    }
+    return primary();
+  }
+  function primary() {
+    var token = tokens[i];
+    if (!token) fail("表达式不完整");
+    if (token.value !== undefined) {
+      i++;
+      return () => token.value;
+    }
+    if (token.text == "n") {
+      i++;
+      return (n) => n;
+    }
+    if (token.text == "(") {
+      i++;
+      var inner = binary(0);
+      if (peek() != ")") fail("缺少右括号");
+      i++;
+      return inner;
+    }
+    if (filterFunctions.hasOwnProperty(token.text)) {
+      let fn = filterFunctions[token.text];
+      i++;
+      if (peek() != "(") fail("函数后缺少括号");
+      i++;
+      let arg = binary(0);
+      if (peek() != ")") fail("缺少右括号");
+      i++;
+      return (n) => fn(arg(n));
+    }
+    fail(/^[a-zA-Z_]/.test(token.text) ? "未知的名称 " + token.text : "此处应为数字或 n");
+  }
+
+  try {
+    var test = binary(0);
+    if (i < tokens.length) fail("多余的内容");
+    test(0); // 试算一次：嵌套过深时求值同样会栈溢出
+    return { test: (n) => Boolean(test(n)) };
+  } catch (e) {
+    // 只有 fail() 抛出的是出错位置，其他异常（如括号嵌套过深导致的栈溢出）视为整个表达式有误
+    if (e && e.error) return e;
+    return { error: "筛选条件过于复杂", start: 0, end: str.length };
+  }
+}
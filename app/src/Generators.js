@@ -0,0 +1,183 @@
+var deck = null; // 扑克牌模式下洗好的牌 { cards, index }
+
+// 解析骰子表达式，如 "3d6+2"、"4d10 drop lowest"、"4d6dl1"、"2d20kh1"
+// 返回 { terms: [{ sign, count, sides, drop, lowest }] 或 [{ sign, value }] }
+// 格式错误时返回 { error, start, end }
+function parseDice(str) {
+  var terms = [],
+    re = /\s*([+-]?)\s*([^+-]+)/y,
+    pos = 0,
+    match;
+  if (!str.trim()) return { error: "骰子表达式为空", start: 0, end: str.length };
+  while (pos < str.length && (match = re.exec(str))) {
+    var text = match[2].trim().toLowerCase(),
+      start = pos,
+      end = (pos = re.lastIndex),
+      sign = match[1] == "-" ? -1 : 1;
+    if (!match[1] && terms.length) return { error: "缺少 + 或 -", start: start, end: end };
+
+    if (/^\d+$/.test(text)) {
+      terms.push({ sign: sign, value: Number(text) });
+      continue;
+    }
+    // 骰子个数、面数，以及去掉（drop）或保留（keep）最高/最低的若干个
+    var dice =
+      /^(\d*)d(\d+|%)(?:\s*(?:(d|k)(l|h)|(drop|keep)\s+(lowest|highest))\s*(\d*))?$/.exec(text);
+    if (!dice) return { error: "无法识别的骰子", start: start, end: end };
+    var count = dice[1] ? Number(dice[1]) : 1,
+      sides = dice[2] == "%" ? 100 : Number(dice[2]),
+      keep = dice[3] == "k" || dice[5] == "keep",
+      lowest = dice[4] == "l" || dice[6] == "lowest",
+      n = dice[7] ? Number(dice[7]) : 1;
+    if (count < 1 || count > 100) return { error: "骰子个数应为 1~100", start: start, end: end };
+    if (sides < 2 || sides > 1000) return { error: "骰子面数应为 2~1000", start: start, end: end };
+    if (!dice[3] && !dice[5]) n = 0;
+    if (n > count) return { error: "去掉或保留的个数超过骰子个数", start: start, end: end };
+    terms.push({
+      sign: sign,
+      count: count,
+      sides: sides,
+      // 保留最高的 n 个等于去掉最低的 count - n 个
+      drop: keep ? count - n : n,
+      lowest: keep ? !lowest : lowest,
+    });
+  }
+  if (pos < str.length) return { error: "缺少骰子或数字", start: pos, end: str.length };
+  return { terms: terms };
+}
+
+// 掷一组骰子，返回每个骰子的点数和是否被去掉 [{ value, dropped }]
+function rollTerm(term) {
+  var rolls = [];
+  for (var i = 0; i < term.count; i++)
+    rolls.push({ value: 1 + engine.randomInt(term.sides), dropped: false });
+  rolls
+    .slice()
+    .sort((a, b) => (term.lowest ? a.value - b.value : b.value - a.value))
+    .slice(0, term.drop)
+    .forEach((roll) => (roll.dropped = true));
+  return rolls;
+}
+
+// 按设置的表达式掷骰子，在 #out 中显示总点数和每个骰子的点数
+function rollDice() {
+  const field = $("dice");
+  var dice = parseDice(field.value);
+  if (dice.error) {
+    field.setCustomValidity(dice.error + "（第 " + (dice.start + 1) + " 个字符）");
+    showMessage("骰子表达式有误：" + dice.error);
+    return;
+  }
+  field.setCustomValidity("");
+
+  var total = 0,
+    parts = [];
+  dice.terms.forEach((term) => {
+    var sign = term.sign < 0 ? "-" : parts.length ? "+" : "";
+    if (term.sides === undefined) {
+      total += term.sign * term.value;
+      parts.push(sign + term.value);
+      return;
+    }
+    var rolls = rollTerm(term);
+    rolls.forEach((roll) => {
+      if (!roll.dropped) total += term.sign * roll.value;
+    });
+    // 被去掉的点数加括号显示
+    parts.push(sign + "[" + rolls.map((r) => (r.dropped ? "(" + r.value + ")" : r.value)).join(" ") + "]");
+  });
+
+  const out = $("out");
+  out.classList.remove("multi");
+  out.textContent = total;
+  const detail = document.createElement("div");
+  detail.className = "detail";
+  detail.textContent = field.value.trim() + "：" + parts.join(" ");
+  out.appendChild(detail);
+  out.dataset.copy = field.value.trim() + " = " + total;
+
+  addHistoryChip(field.value.trim() + " = " + total + "（" + parts.join(" ") + "）");
+  saveRecord([field.value.trim() + " = " + total]);
+}
+
+// 抛若干枚硬币，多枚时显示每一枚的结果和正反面数量
+function flipCoins() {
+  var n = Math.min(100, Math.max(1, parseInt($("coins").value) || 1)),
+    faces = [];
+  for (var i = 0; i < n; i++) faces.push(engine.randomInt(2) ? "正" : "反");
+  var heads = faces.filter((face) => face == "正").length,
+    summary = "正面 " + heads + " · 反面 " + (n - heads);
+
+  const out = $("out");
+  out.innerHTML = "";
+  if (n == 1) {
+    out.classList.remove("multi");
+    out.textContent = faces[0];
+  } else {
+    out.classList.add("multi");
+    faces.forEach((face) => {
+      const chip = document.createElement("mdui-chip");
+      chip.textContent = face;
+      out.appendChild(chip);
+    });
+    const detail = document.createElement("div");
+    detail.className = "detail";
+    detail.textContent = summary;
+    out.appendChild(detail);
+  }
+  out.dataset.copy = faces.join(" ");
+
+  addHistoryChip("硬币：" + faces.join(" ") + (n > 1 ? "（" + summary + "）" : ""));
+  saveRecord(faces);
+}
+
+// 新的一副洗好的扑克牌（不含大小王）
+function newDeck() {
+  var cards = [];
+  ["♠", "♥", "♦", "♣"].forEach((suit) =>
+    ["A", "2", "3", "4", "5", "6", "7", "8", "9", "10", "J", "Q", "K"].forEach((rank) =>
+      cards.push(suit + rank)
+    )
+  );
+  return { cards: engine.shuffle(cards), index: 0 };
+}
+
+// 从牌堆顶发 count 张牌，不放回，发完后需重新洗牌
+function dealCards(count) {
+  if (!deck) deck = newDeck();
+  var left = deck.cards.length - deck.index;
+  if (left == 0) {
+    showMessage("牌已发完，请重新洗牌");
+    return;
+  }
+  var cards = deck.cards.slice(deck.index, deck.index + Math.min(count, left));
+  deck.index += cards.length;
+
+  const out = $("out");
+  out.innerHTML = "";
+  out.classList.toggle("multi", cards.length > 1);
+  cards.forEach((card) => {
+    const chip = document.createElement(cards.length > 1 ? "mdui-chip" : "span");
+    chip.textContent = card;
+    if (card[0] == "♥" || card[0] == "♦") chip.className = "red";
+    out.appendChild(chip);
+  });
+  out.dataset.copy = cards.join(" ");
+
+  addHistoryChip("发牌：" + cards.join(" "));
+  saveRecord(cards);
+  updateDeckInfo();
+}
+
+// 在主页显示牌堆剩余张数
+function updateDeckInfo() {
+  $("deck-left").textContent = "剩余 " + (deck ? deck.cards.length - deck.index : 52) + " 张";
+}
+
+// 收回所有牌并重新洗牌
+function resetDeck() {
+  deck = newDeck();
+  $("out").classList.remove("multi");
+  $("out").textContent = "-";
+  updateDeckInfo();
+}
@@ -0,0 +1,63 @@
+// 将 list 依次分组：by 为 "count" 时分成 value 组，为 "size" 时每组约 value 人
+// 各组人数相差不超过 1；按人数分组时，余下的人不足半组则并入前面各组，否则单独成组后再均衡各组人数
+function splitGroups(list, by, value) {
+  var k;
+  if (by == "count") {
+    k = Math.min(value, list.length);
+  } else {
+    k = Math.floor(list.length / value);
+    if (k == 0 || (list.length % value) * 2 >= value) k++;
+  }
+
+  var groups = [],
+    start = 0;
+  for (var i = 0; i < k; i++) {
+    var size = Math.floor(list.length / k) + (i < list.length % k ? 1 : 0);
+    groups.push(list.slice(start, start + size));
+    start += size;
+  }
+  return groups;
+}
+
+// 分组结果的文本，用于复制和记录
+function groupsText(groups) {
+  return groups
+    .map((group, i) => "第 " + (i + 1) + " 组：" + group.map(fullLabelOf).join(", "))
+    .join("\n");
+}
+
+// 将当前抽取池随机分组，并在主页以卡片显示
+function makeGroups(pool) {
+  var total = poolAvailable(pool),
+    value = Math.max(1, parseInt($("group-value").value) || 1);
+  if (total == 0) return showMessage("没有可以分组的数字");
+  if (total > 10000) return showMessage("当前范围内的数字过多，无法分组");
+
+  var list = [];
+  for (var k = 0; k < total; k++) list.push(poolNth(pool, k));
+  var groups = splitGroups(engine.shuffle(list), $("group-by").value, value);
+
+  const content = $("board-content");
+  content.innerHTML = "";
+  groups.forEach((group, i) => {
+    const card = document.createElement("mdui-card");
+    card.variant = "filled";
+    card.className = "board-card";
+
+    const title = document.createElement("div");
+    title.className = "board-card-title";
+    title.textContent = "第 " + (i + 1) + " 组（" + group.length + " 人）";
+    card.appendChild(title);
+
+    group.forEach((num) => {
+      const chip = document.createElement("mdui-chip");
+      chip.textContent = fullLabelOf(num);
+      card.appendChild(chip);
+    });
+    content.appendChild(card);
+  });
+
+  var text = groupsText(groups);
+  $("board").dataset.copy = text;
+  addBoardHistory("分组", text);
+}
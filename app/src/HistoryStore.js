@@ -0,0 +1,82 @@
+// 持久化的抽取历史：每次抽取通过主进程写入 userData 下的 history.jsonl，重启后从文件加载
+// 直接在浏览器中打开页面时没有 window.historyStore，此时只保留内存中的记录
+
+// 写入一条抽取记录，result 为结果的显示文本数组，extra 为附加字段（如奖项、作废原因）
+function saveRecord(result, extra) {
+  if (!window.historyStore) return;
+  var record = Object.assign(
+    { time: new Date().toISOString(), session: ensureSession().id },
+    currentSettings(),
+    { result: result },
+    extra
+  );
+  window.historyStore.append(record).catch(() =>
+    showMessage("历史记录保存失败")
+  );
+}
+
+// 加载以往的记录，按会话显示在本次运行的会话之前，分组等结果显示在对应的卡片中
+// 没有会话编号的旧记录按设置是否变化划分会话
+// 作废记录标注在它所作废的、结果相同的最近一条记录上
+// 带有数字的记录同时计入统计（排在本次运行的抽取之前），作废的不计入
+function loadRecords() {
+  if (!window.historyStore) return;
+  window.historyStore
+    .load()
+    .then((records) => {
+      const first = $("history-list").firstChild;
+      var s = null,
+        lastKey = null,
+        logged = [];
+      records.forEach((record) => {
+        var time = new Date(record.time);
+        if (record.title) return showBoardRecord(record.title, record.result[0], time);
+
+        var settings = {
+            mode: record.mode,
+            range: record.range,
+            label: record.label,
+            repeat: record.repeat,
+            manual: record.manual,
+          },
+          key = record.session || JSON.stringify(settings);
+        if (!s || key != lastKey) {
+          s = createSessionItem(record.session || time.getTime(), settings, first);
+          updateSessionHeader(s);
+          lastKey = key;
+        }
+
+        if (record.voided) {
+          (record.values || []).forEach((value) => {
+            var i = logged.findLastIndex((entry) => entry.value === value);
+            if (i != -1) logged.splice(i, 1);
+          });
+          var chip = Array.from(s.body.children).findLast(
+            (c) => c.dataset.result == record.result.join(", ") && !c.classList.contains("voided")
+          );
+          if (chip) {
+            chip.classList.add("voided");
+            chip.textContent += "（" + record.voided + "）";
+          }
+          return;
+        }
+        const newChip = addSessionChip(
+          s,
+          (record.prize ? record.prize + " " : "") + record.result.join(", "),
+          time
+        );
+        newChip.dataset.result = record.result.join(", ");
+        (record.values || []).forEach((value) =>
+          logged.push({
+            value: value,
+            range: record.range,
+            label: record.label,
+            weights: record.weights || "",
+            independent: !!record.independent,
+          })
+        );
+      });
+      drawLog.unshift(...logged);
+    })
+    .catch(() => showMessage("历史记录加载失败"));
+}
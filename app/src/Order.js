@@ -0,0 +1,65 @@
+var order = null; // 随机排序模式下的当前顺序 { key, list, index }
+
+// 生成整个抽取池的随机顺序
+function makeOrder(pool) {
+  var total = poolAvailable(pool);
+  if (total == 0) return showMessage("没有可以排序的数字");
+  if (total > 10000) return showMessage("当前范围内的数字过多，无法排序");
+
+  var list = [];
+  for (var k = 0; k < total; k++) list.push(poolNth(pool, k));
+  order = { key: pool.key, list: engine.shuffle(list), index: -1 };
+
+  const content = $("board-content");
+  content.innerHTML = "";
+  const ol = document.createElement("ol");
+  ol.id = "order-list";
+  order.list.forEach((num) => {
+    const li = document.createElement("li");
+    li.textContent = fullLabelOf(num);
+    ol.appendChild(li);
+  });
+  content.appendChild(ol);
+
+  var text = order.list.map((num, i) => i + 1 + ". " + fullLabelOf(num)).join("\n");
+  $("board").dataset.copy = text;
+  addBoardHistory("随机排序", text);
+}
+
+// 随机排序模式下每次抽取前进一位：标出当前项并记入历史记录
+// 首次抽取、抽取池变化、全部完成或主页已显示其他结果时重新生成顺序
+function stepOrder(pool) {
+  if (
+    !order ||
+    order.key != pool.key ||
+    order.index >= order.list.length - 1 ||
+    !$("order-list")
+  )
+    return makeOrder(pool);
+
+  const items = $("order-list").children;
+  if (order.index >= 0) {
+    items[order.index].classList.remove("current");
+    items[order.index].classList.add("done");
+  }
+  order.index++;
+  items[order.index].classList.add("current");
+  items[order.index].scrollIntoView({ block: "nearest", behavior: "smooth" });
+  engine.record([order.list[order.index]]);
+  logDraws([order.list[order.index]]);
+  saveRecord([fullLabelOf(order.list[order.index])], {
+    values: [order.list[order.index]],
+    weights: $("weights").value,
+  });
+  addHistory(order.list[order.index]);
+  updateNotes();
+}
+
+// 重新生成当前模式的结果
+function restartBoard() {
+  order = null;
+  bracket = null;
+  if ($("mode").value == "pair") undoPairs();
+  if ($("mode").value == "seat") undoSeats();
+  getNum();
+}
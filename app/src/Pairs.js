@@ -0,0 +1,118 @@
+var pairing = null; // 本次运行中最近一次保存的配对，重新生成时替换它
+
+// 两人配对的记录名称，与顺序无关
+function pairKey(a, b) {
+  return a < b ? a + "|" + b : b + "|" + a;
+}
+
+function loadAllPairHistory() {
+  return JSON.parse(localStorage.getItem("pairHistory") || "{}");
+}
+
+// 当前范围或名单以往的配对 [{ time, groups }]，按范围分别记录（见 balanceKey）
+function loadPairHistory() {
+  return loadAllPairHistory()[balanceKey()] || [];
+}
+
+function savePairHistory(sessions) {
+  var all = loadAllPairHistory();
+  all[balanceKey()] = sessions;
+  localStorage.setItem("pairHistory", JSON.stringify(all));
+}
+
+// 以往配对中出现过的所有两人组合，三人组按其中每两人计
+function pairedBefore() {
+  var seen = new Set();
+  loadPairHistory().forEach((session) =>
+    session.groups.forEach((group) =>
+      group.forEach((a, i) => group.slice(i + 1).forEach((b) => seen.add(pairKey(a, b))))
+    )
+  );
+  return seen;
+}
+
+// 打乱后依次为每人挑选第一个未配对过的搭档，人数为奇数时最后三人一组
+// 返回 { groups, repeats }，repeats 为无法避免的重复配对数
+function pairUp(list, seen) {
+  var rest = engine.shuffle(list.slice()),
+    groups = [],
+    repeats = 0;
+  while (rest.length) {
+    var a = rest.shift();
+    if (rest.length == 2) {
+      var trio = [a, ...rest];
+      trio.forEach((x, i) =>
+        trio.slice(i + 1).forEach((y) => (repeats += seen.has(pairKey(x, y)) ? 1 : 0))
+      );
+      groups.push(trio);
+      break;
+    }
+    var i = rest.findIndex((b) => !seen.has(pairKey(a, b)));
+    if (i == -1) {
+      i = 0;
+      repeats++;
+    }
+    groups.push([a, rest.splice(i, 1)[0]]);
+  }
+  return { groups: groups, repeats: repeats };
+}
+
+// 将当前抽取池随机两两配对，尽量避开以往的配对，并记入配对记录
+function makePairs(pool) {
+  var total = poolAvailable(pool);
+  if (total < 2) return showMessage("至少需要两个数字才能配对");
+  if (total > 1000) return showMessage("当前范围内的数字过多，无法配对");
+
+  var list = [];
+  for (var k = 0; k < total; k++) list.push(poolNth(pool, k));
+
+  // 多次尝试，取重复最少的结果
+  var seen = pairedBefore(),
+    best = null;
+  for (var attempt = 0; attempt < 100 && !(best && best.repeats == 0); attempt++) {
+    var result = pairUp(list, seen);
+    if (!best || result.repeats < best.repeats) best = result;
+  }
+
+  const content = $("board-content");
+  content.innerHTML = "";
+  best.groups.forEach((group, i) => {
+    const card = document.createElement("mdui-card");
+    card.variant = "filled";
+    card.className = "board-card";
+
+    const title = document.createElement("div");
+    title.className = "board-card-title";
+    title.textContent = "第 " + (i + 1) + " 组";
+    card.appendChild(title);
+
+    group.forEach((num) => {
+      const chip = document.createElement("mdui-chip");
+      chip.textContent = fullLabelOf(num);
+      card.appendChild(chip);
+    });
+    content.appendChild(card);
+  });
+  if (best.repeats) showMessage("有 " + best.repeats + " 对无法避免与以往的配对重复");
+
+  pairing = { key: balanceKey(), time: Date.now(), groups: best.groups };
+  savePairHistory(loadPairHistory().concat([{ time: pairing.time, groups: pairing.groups }]));
+
+  var text = groupsText(best.groups);
+  $("board").dataset.copy = text;
+  addBoardHistory("配对", text);
+}
+
+// 重新生成前撤销本次运行中刚保存的配对，避免它影响新的结果
+function undoPairs() {
+  if (!pairing || pairing.key != balanceKey()) return;
+  savePairHistory(loadPairHistory().filter((session) => session.time != pairing.time));
+  pairing = null;
+}
+
+// 清空当前范围的配对记录
+function resetPairHistory() {
+  savePairHistory([]);
+  pairing = null;
+  showMessage("已清空当前范围的配对记录");
+}
@@ -0,0 +1,132 @@
+var raffle = null; // 抽奖模式下的奖项与中奖情况 { key, prizes: [{ name, quantity, winners }] }
+
+// 解析奖项设置，如 "一等奖:1, 二等奖:3, 三等奖:10"，按填写顺序依次抽取
+// 格式错误时返回 null
+function parsePrizes(str) {
+  var prizes = [];
+  for (var item of str.split(/[,，\n]/)) {
+    item = item.trim();
+    if (!item) continue;
+    var match = /^(.+?)\s*[:：×xX*]\s*(\d+)$/.exec(item);
+    if (!match || Number(match[2]) < 1) return null;
+    prizes.push({ name: match[1], quantity: Number(match[2]), winners: [] });
+  }
+  return prizes.length ? prizes : null;
+}
+
+// 保存奖项设置
+function savePrizes() {
+  const field = $("prizes");
+  if (!parsePrizes(field.value)) {
+    field.setCustomValidity("格式错误，应为 奖项:数量，用英文逗号分隔");
+    return;
+  }
+  field.setCustomValidity("");
+  raffle = null;
+  updateRaffleInfo();
+  storage(0);
+  showSettingsSavedSnackbar();
+}
+
+// 当前正在抽取的奖项，全部抽完时返回 undefined
+function currentPrize() {
+  return raffle.prizes.find((prize) => prize.winners.length < prize.quantity);
+}
+
+// 抽奖前的准备：奖项或抽取池变化时重新开始，并从池中移除已中奖的数字
+// 返回当前奖项；奖项设置有误或已全部抽完时返回 null
+function prepareRaffle(pool) {
+  var prizes = parsePrizes($("prizes").value),
+    key = pool.key + "|" + $("prizes").value;
+  if (!prizes) {
+    showMessage("请先在设置中填写奖项");
+    return null;
+  }
+  if (!raffle || raffle.key != key) {
+    raffle = { key: key, prizes: prizes };
+    modeChanged();
+  }
+
+  raffle.prizes.forEach((prize) =>
+    prize.winners.forEach((num) => poolRemove(pool, num))
+  );
+  var prize = currentPrize();
+  updateRaffleInfo();
+  if (!prize) {
+    showWinners();
+    return null;
+  }
+  return prize;
+}
+
+// 将抽到的数字记为当前奖项的中奖者，返回本次结果 { values, chips, prize }
+function assignPrize(values) {
+  var prize = currentPrize();
+  prize.winners.push(...values);
+  var chips = values.map((value) => addHistory(value, prize.name));
+  updateRaffleInfo();
+  // 最后一名抽出后立即显示中奖名单
+  if (!currentPrize()) {
+    addBoardHistory("抽奖", winnersText());
+    showWinners();
+  }
+  return { values: values, chips: chips, prize: prize };
+}
+
+// 撤销作废结果的中奖资格，空出的名额可以重新抽取
+function unassignPrize(prize, values) {
+  prize.winners = prize.winners.filter((num) => !values.includes(num));
+  updateRaffleInfo();
+  modeChanged(); // 作废最后一名时收起已显示的中奖名单
+}
+
+// 在主页显示当前奖项和剩余名额
+function updateRaffleInfo() {
+  // 尚未开始时显示第一个奖项
+  var prize = raffle ? currentPrize() : (parsePrizes($("prizes").value) || [])[0];
+  $("raffle-prize").textContent = prize ? prize.name : "抽奖已结束";
+  $("raffle-left").textContent = prize
+    ? "剩余 " + (prize.quantity - prize.winners.length) + " / " + prize.quantity
+    : "";
+}
+
+// 中奖名单的文本，按奖项分组
+function winnersText() {
+  return raffle.prizes
+    .map((prize) => prize.name + "：" + prize.winners.map(fullLabelOf).join(", "))
+    .join("\n");
+}
+
+// 全部奖项抽完后，在主页按奖项显示中奖名单
+function showWinners() {
+  const content = $("board-content");
+  content.innerHTML = "";
+  raffle.prizes.forEach((prize) => {
+    const card = document.createElement("mdui-card");
+    card.variant = "filled";
+    card.className = "board-card";
+
+    const title = document.createElement("div");
+    title.className = "board-card-title";
+    title.textContent = prize.name + "（" + prize.quantity + " 名）";
+    card.appendChild(title);
+
+    prize.winners.forEach((num) => {
+      const chip = document.createElement("mdui-chip");
+      chip.textContent = fullLabelOf(num);
+      card.appendChild(chip);
+    });
+    content.appendChild(card);
+  });
+
+  $("board").dataset.copy = winnersText();
+  $("board").style.display = "";
+  $("out").style.display = "none";
+}
+
+// 清空中奖情况，重新开始抽奖
+function resetRaffle() {
+  raffle = null;
+  updateRaffleInfo();
+  modeChanged();
+}
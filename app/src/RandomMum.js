@@ -1,47 +1,240 @@
-var c = 0,
-  t,
-  add = [],
-  sec,
+var t,
+  drawLog = [], // 全部抽取结果 { value, range, label, weights, independent }（不随本轮清空，含以往的记录），用于统计
+  seedKey = null, // 当前种子序列对应的种子和设置
   f = 0,
-  m = 0
+  engine = createDrawEngine();
 
 function $(id) {
   return document.getElementById(id);
 }
 
-function timedCount(numarr) {
-  var node = $("out"),
-    rn = Math.floor(Math.random() * numarr.length);
-  node.style.color = "rgb(var(--mdui-color-primary))"; // 修改为变量值
-  node.style.opacity = "0.5"; // 设置透明度为0.5
-  node.innerHTML = numarr[rn];
-  c = c + 1;
-  if (new Date().getTime() - sec > $("settime").value || m) {
-    stopCount();
-    c = 0;
-    m = 0;
-    node.style.color = "rgb(var(--mdui-color-primary))"; // 修改为变量值
-    node.style.opacity = "1"; // 设置透明度为1
-
-    // 为每个已抽到的数字创建一个mdui-chip元素
-    const historyList = document.getElementById("history-list");
-    const newChip = document.createElement("mdui-chip");
+// 开始新的种子序列，key 由种子和影响结果的设置组成
+function startSeedSession(seed, key) {
+  engine.useSeed(seed);
+  seedKey = key;
 
-    newChip.textContent = numarr[rn];
-    newChip.style.margin = "4px";
-    historyList.appendChild(newChip);
+  // 在记录中标出新序列的种子，便于回放核对
+  const mark = document.createElement("div"),
+    label = document.createElement("small");
+  label.textContent = "种子 " + seed + "：";
+  mark.appendChild(label);
+  mark.style.margin = "4px";
+  ensureSession().body.appendChild(mark);
+  $("seed-info").textContent = "种子：" + seed;
+}
 
-    add.push(numarr[rn]);
-    document.querySelector("#notes span").innerHTML = add.join(", ");
-    document.querySelector("#notes b").innerHTML = add.length;
+// 随机生成一个种子
+function generateSeed() {
+  var buf = new Uint32Array(2);
+  crypto.getRandomValues(buf);
+  $("seed").value = (buf[0].toString(36) + buf[1].toString(36)).slice(0, 10);
+  engine.clearSeed();
+  storage(0);
+  showSettingsSavedSnackbar();
+}
 
-  } else {
-    t = setTimeout(function () {
-      timedCount(numarr);
-    }, 50); // 使用函数而不是字符串
+// 保存权重设置
+function saveWeights() {
+  const field = $("weights");
+  if (!parseWeights(field.value)) {
+    field.setCustomValidity("格式错误，应为 数字或范围:权重，且权重大于 0");
+    return;
+  }
+  field.setCustomValidity("");
+  storage(0);
+  showSettingsSavedSnackbar();
+}
+
+// 在 #out 中显示结果，多个结果以大号 chip 网格显示
+function showResult(values) {
+  var node = $("out");
+  node.dataset.copy = values.map(fullLabelOf).join(", ");
+  if (values.length == 1) {
+    node.classList.remove("multi");
+    node.textContent = labelOf(values[0]);
+    // 点名模式下以小字显示座号
+    if ($("roster-mode").checked && roster.has(values[0])) {
+      const seat = document.createElement("div");
+      seat.className = "seat";
+      seat.textContent = values[0] + " 号";
+      node.appendChild(seat);
+    }
+    return;
+  }
+  node.classList.add("multi");
+  node.innerHTML = "";
+  values.forEach((value) => {
+    const chip = document.createElement("mdui-chip");
+    chip.textContent = labelOf(value);
+    node.appendChild(chip);
+  });
+}
+
+// 将抽到的数字记入历史记录，prize 为抽奖模式下所抽的奖项，返回新增的记录
+function addHistory(value, prize) {
+  return addHistoryChip((prize ? prize + " " : "") + fullLabelOf(value));
+}
+
+// 在当前会话中添加一条文本记录
+function addHistoryChip(text) {
+  return addSessionChip(ensureSession(), text, new Date());
+}
+
+// 将分组等结果记入历史记录并保存
+function addBoardHistory(title, text) {
+  showBoardRecord(title, text, new Date());
+  saveRecord([text], { title: title });
+}
+
+// 在历史记录页显示一条分组等结果，time 为生成时间
+function showBoardRecord(title, text, time) {
+  const list = $("board-history");
+  if (!list.querySelector(".board-record")) list.innerHTML = "";
+
+  const record = document.createElement("div");
+  record.className = "board-record";
+  const head = document.createElement("small");
+  head.textContent = title + " · " + time.toLocaleString();
+  const body = document.createElement("div");
+  body.textContent = text;
+  const copy = document.createElement("mdui-button");
+  copy.variant = "text";
+  copy.textContent = "复制";
+  copy.onclick = () => copyText(text);
+
+  record.append(head, copy, body);
+  list.prepend(record);
+}
+
+// 更新本轮已抽取数字的文本和冷却中的数字
+function updateNotes() {
+  // 名单中的姓名来自导入的文件，只作为文本显示
+  document.querySelector("#notes span").textContent = engine.history.map(fullLabelOf).join(", ");
+  const total = document.querySelector("#notes b");
+  if (total) total.textContent = engine.history.length;
+
+  const cooldown = getCooldown(),
+    cooling = cooldown ? engine.cooling(cooldown) : [];
+  $("cooldown-list").textContent = cooling.length ? cooling.map(fullLabelOf).join(", ") : "无";
+}
+
+// 冷却期设置 { draws } 或 { minutes }，未设置时返回 null
+// 按分钟的冷却取决于抽取时间，种子模式下无法复现，因此不使用
+function getCooldown() {
+  var value = Number($("cooldown").value);
+  if (!(value > 0)) return null;
+  if ($("seeded").checked && $("cooldown-unit").value == "minutes") return null;
+  return { [$("cooldown-unit").value]: value };
+}
+
+// 滚动减速曲线：返回减速进度 p（0~1）时的速度与全速之比，即缓出曲线的导数
+const easings = {
+  none: () => 1, // 匀速滚动，停止时直接显示结果
+  quad: (p) => 1 - p,
+  cubic: (p) => (1 - p) * (1 - p),
+  expo: (p) => Math.pow(2, -10 * p),
+};
+const FLIP_TIME = 50; // 全速滚动时每次翻动的间隔（毫秒）
+const SETTLE_TIME = 1500; // 减速阶段的最长时长（毫秒）
+
+var roll = null; // 滚动动画状态 { pos, last, stopAt, settle, easing, values, landed }
+
+// 显示一组滚动中的随机数字；本轮最后一个数字抽出后池为空，此时保持当前显示
+function showPreview() {
+  var values = engine.preview();
+  if (values.length) showResult(values);
+}
+
+// 从减速进度 p 到结束还会翻动的格数，即速度曲线在 [p, 1] 上的积分（中点法）
+function remainingFlips(p) {
+  var steps = 20,
+    sum = 0;
+  for (var i = 0; i < steps; i++) sum += roll.easing(p + ((1 - p) * (i + 0.5)) / steps);
+  return ((sum / steps) * (1 - p) * roll.settle) / FLIP_TIME;
+}
+
+// 从减速进度 p 到结束是否不会再翻到下一格
+function isLastFlip(p) {
+  return Math.floor(roll.pos + remainingFlips(p)) == Math.floor(roll.pos);
+}
+
+// 翻到新的一格：减速阶段的最后一格停在结果上，此后不再变化
+function flip(p) {
+  if (!roll.landed && roll.stopAt !== null) roll.landed = isLastFlip(p);
+  if (roll.landed) showResult(roll.values);
+  else showPreview();
+}
+
+// 滚动动画的每一帧：按当前速度累计翻动进度，每前进一格换一组随机数字
+// 进入 stopping 状态后按所选曲线减速，并逐渐恢复不透明
+function rollFrame(now) {
+  if (!engine.busy()) return;
+  var speed = 1,
+    p = 0,
+    dt = now - roll.last;
+  roll.last = now;
+  if (roll.stopAt !== null) {
+    p = Math.min(1, (now - roll.stopAt) / roll.settle);
+    speed = roll.easing(p);
+    $("out").style.opacity = 0.5 + p / 2;
   }
+  var pos = roll.pos + (dt * speed) / FLIP_TIME,
+    flipped = Math.floor(pos) != Math.floor(roll.pos);
+  roll.pos = pos;
+  if (flipped) flip(p);
+  t = requestAnimationFrame(rollFrame);
 }
 
+// 界面订阅抽取引擎的状态变化
+engine.on("rolling", () => {
+  var node = $("out");
+  node.style.color = "rgb(var(--mdui-color-primary))"; // 修改为变量值
+  node.style.opacity = "0.5"; // 设置透明度为0.5
+  showPreview();
+  roll = {
+    pos: 0,
+    last: performance.now(),
+    stopAt: null,
+    easing: easings[$("easing").value] || easings.cubic,
+  };
+  t = requestAnimationFrame(rollFrame);
+});
+
+engine.on("stopping", (detail) => {
+  roll.stopAt = performance.now();
+  roll.settle = detail.settle;
+  roll.values = detail.values;
+  roll.landed = false;
+  // 减速过程中不会再翻动时直接停在结果上
+  if (isLastFlip(0)) flip(0);
+});
+
+engine.on("done", (detail) => {
+  var node = $("out"),
+    values = detail.values;
+  stopCount();
+  showResult(values);
+  node.style.color = "rgb(var(--mdui-color-primary))"; // 修改为变量值
+  node.style.opacity = "1"; // 设置透明度为1
+
+  if ($("mode").value == "raffle") lastDraw = assignPrize(values);
+  else lastDraw = { values: values, chips: values.map((value) => addHistory(value)) };
+  lastDraw.balanced = balanceActive();
+  var extra = { values: values, weights: $("weights").value, independent: logDraws(values) };
+  if (lastDraw.prize) extra.prize = lastDraw.prize.name;
+  saveRecord(values.map(fullLabelOf), extra);
+  if (lastDraw.balanced) addBalance(values, 1);
+  $("btn-void").disabled = false;
+  updateNotes();
+});
+
+engine.on("exhausted", () => {
+  var out = $("out");
+  window.removeEventListener("devicemotion", motionEventHandler, false);
+  out.style.color = "rgb(var(--mdui-color-primary))";
+  out.innerHTML = "Done";
+});
+
 function motionEventHandler(e) {
   var acceleration = e.accelerationIncludingGravity;
   x = acceleration.x;
@@ -53,7 +246,7 @@ function motionEventHandler(e) {
     Math.abs(z - lastZ) > speed
   ) {
     var curTime = new Date().getTime();
-    if (!c && curTime - last_update > 500) {
+    if (!engine.busy() && curTime - last_update > 500) {
       last_update = curTime;
       if (sy) $("audio").play();
       if (zd) window.navigator.vibrate(200);
@@ -65,73 +258,190 @@ function motionEventHandler(e) {
   lastZ = z;
 }
 function stopCount() {
-  clearTimeout(t);
+  cancelAnimationFrame(t);
 }
 
-function getNum() {
-  var manual = $("manual").checked;
-  if (c) {
-    if (manual) m = 1;
-    return;
+// 按小数位数设置格式化数字
+function formatNum(value) {
+  return Number(value).toFixed($("precision").value);
+}
+
+// 检查抽取范围，格式错误时在输入框下方提示并选中出错的部分
+function checkRange() {
+  const field = $("num");
+  var result = parseRange(field.value, Number($("precision").value));
+  if (result.error) {
+    field.setCustomValidity(result.error + "（第 " + (result.start + 1) + " 个字符）");
+    field.setSelectionRange(result.start, result.end);
+  } else {
+    field.setCustomValidity("");
   }
-  m = 0;
-  var nr = $("num").value,
+  return result;
+}
+
+// 根据当前设置生成抽取池（已移除排除的数字），设置有误时返回 null
+function buildPool() {
+  var rosterMode = $("roster-mode").checked,
+    nr = rosterMode ? "roster" : $("num").value,
     excludeStr = getExcludedNumbersFromStorage($("set-exclude-label").value), // 获取排除的数字
-    out = $("out");
+    filter = getFilterFromStorage($("set-exclude-label").value),
+    today = getTodayExcluded();
 
   // 清空历史记录
   if (sessionStorage.getItem("randomIn") != nr) {
     sessionStorage.setItem("randomIn", nr);
-    add = [];
+    engine.clearHistory();
   }
 
   const errorSnackbar = document.querySelector(".errorSnackbar");
-  if (!/^\d{1,6}-\d{1,6}$/.test(nr)) return (errorSnackbar.open = true);
+  var range;
+  if (rosterMode) {
+    // 点名模式：从名单中抽取，名单为空时打开导入窗口
+    if (!roster.size) {
+      openRosterDialog();
+      return null;
+    }
+    range = rosterRange();
+  } else {
+    range = checkRange();
+    if (!range.segments) {
+      errorSnackbar.open = true;
+      return null;
+    }
+  }
 
-  arr = nr.split("-").map(Number);
-  let in0 = Math.min(arr[0], arr[1]);
-  let in1 = Math.max(arr[0], arr[1]);
-  out.innerHTML = in0 === in1 ? in0 : "";
+  // 决定抽取池内容的设置，用于判断池是否发生变化
+  var poolKey = [nr, $("precision").value, $("set-exclude-label").value].join("|");
+
+  // 种子模式：种子或相关设置变化时从头开始新的序列
+  if ($("seeded").checked) {
+    if (!$("seed").value) generateSeed();
+    var seed = $("seed").value,
+      key = [seed, poolKey, $("mode").value, $("repeat").checked].join("|");
+    if (engine.seed === null || seedKey != key) startSeedSession(seed, key);
+  } else if (engine.seed !== null) {
+    engine.clearSeed();
+    $("seed-info").textContent = "";
+  }
 
   // 清空当前的排除数字列表
   const excludeList = document.getElementById("exclude-list");
   excludeList.innerHTML = "";
 
-  // 将排除的数字添加到 mdui-chip 中
+  // 将排除的数字和筛选条件添加到 mdui-chip 中
+  if (filter) {
+    const filterChip = document.createElement("mdui-chip");
+    filterChip.textContent = "筛选：" + filter;
+    filterChip.style.margin = "4px";
+    excludeList.appendChild(filterChip);
+  }
   excludeStr.forEach((num) => {
     const newChip = document.createElement("mdui-chip");
-    newChip.textContent = num;
+    newChip.textContent = typeof num == "string" ? num : fullLabelOf(num);
+    newChip.style.margin = "4px";
+    excludeList.appendChild(newChip);
+  });
+  today.forEach((num) => {
+    const newChip = document.createElement("mdui-chip");
+    newChip.textContent = fullLabelOf(num) + "（今日）";
     newChip.style.margin = "4px";
     excludeList.appendChild(newChip);
   });
 
-  numarr = [];
-  for (let i = in0; i <= in1; i++) {
-    // 如果未勾选不重复，则直接添加到 numarr
-    if (!$("repeat").checked || !add.includes(i)) {
-      // 如果该数字不在排除列表中，则添加
-      if (!excludeStr.includes(i)) {
-        numarr.push(i);
-      }
-    }
+  var pool = createPool(range);
+  removeExcluded(pool, excludeStr.concat(today));
+  pool = applyFilter(pool, $("set-exclude-label").value);
+  if (!pool) {
+    showMessage("当前范围内的数字过多，无法使用筛选条件");
+    return null;
   }
+  pool.key = poolKey;
+  return pool;
+}
 
-  if (numarr.length == 0) {
-    add = [];
-    window.removeEventListener("devicemotion", motionEventHandler, false);
-    out.style.color = "rgb(var(--mdui-color-primary))";
-    out.innerHTML = "Done";
+// 移除排除的数字，点名模式下也可以按姓名排除
+function removeExcluded(pool, excludeStr) {
+  excludeStr.forEach((num) =>
+    poolRemove(pool, typeof num == "string" ? rosterNumberOf(num) : num)
+  );
+}
+
+// 开始或停止抽取，n 为本次抽取的数量，默认使用设置中的单次抽取数量
+function getNum(n) {
+  var mode = $("mode").value,
+    manual = $("manual").checked,
+    count = n || Math.max(1, parseInt($("count").value) || 1);
+  if (engine.busy()) {
+    if (manual) engine.stop();
     return;
   }
+  lastDraw = null;
+  $("btn-void").disabled = true;
+
+  // 骰子、硬币和扑克牌不使用抽取范围
+  if (mode == "dice") return rollDice();
+  if (mode == "coin") return flipCoins();
+  if (mode == "cards") return dealCards(count);
 
-  sec = new Date().getTime();
-  if (manual) sec += 1000 * 60 * 60 * 24 * 7;
-  timedCount(numarr);
+  var out = $("out"),
+    pool = buildPool();
+  if (!pool) return;
+
+  // 其他模式直接生成结果
+  if (mode == "group") return makeGroups(pool);
+  if (mode == "pair") return makePairs(pool);
+  if (mode == "bracket") return makeBracket(pool);
+  if (mode == "seat") return makeSeats(pool);
+  if (mode == "shuffle") return stepOrder(pool);
+  if (mode == "raffle") {
+    var prize = prepareRaffle(pool);
+    if (!prize) return;
+    count = Math.min(count, prize.quantity - prize.winners.length);
+  }
+
+  out.classList.remove("multi");
+  out.innerHTML = "";
+
+  // 减速阶段计入时间延迟之内；手动模式下停止后再减速
+  var time = Number($("settime").value),
+    settle = $("easing").value == "none" ? 0 : manual ? SETTLE_TIME : Math.min(SETTLE_TIME, time);
+  engine.start(pool, {
+    count: count,
+    rules: mode == "raffle" ? [] : parseWeights($("weights").value) || [], // 抽奖模式下不显示权重设置
+    balance: balanceActive() ? loadBalance() : null,
+    repeat: $("repeat").checked, // 勾选不重复时，本轮已抽取的数字不再抽取
+    cooldown: getCooldown(),
+    manual: manual,
+    duration: time - settle,
+    settle: settle,
+  });
+}
+
+// 切换抽取模式：只显示当前模式相关的设置项，并切换主页的显示区域
+function modeChanged() {
+  var mode = $("mode").value;
+  // 其他模式会替换主页的内容，切换回来时重新生成顺序
+  order = null;
+  document.querySelectorAll("[data-mode]").forEach((node) => {
+    node.style.display = node.dataset.mode.split(" ").includes(mode) ? "" : "none";
+  });
+  var board = !["draw", "raffle", "dice", "coin", "cards"].includes(mode);
+  $("board").style.display = board ? "" : "none";
+  $("out").style.display = board ? "none" : "";
+}
+
+// 是否正在输入框中输入或有对话框打开，此时空格和回车交给输入框（如骰子表达式、名单）
+// 抽取范围输入框中按回车仍然开始抽取
+function isTyping(e) {
+  if (document.querySelector("mdui-dialog[open]")) return true;
+  var path = e.composedPath();
+  if (e.keyCode == 13 && path.includes($("num"))) return false;
+  return path.some((node) => node.tagName == "INPUT" || node.tagName == "TEXTAREA");
 }
 
 document.onkeydown = function (e) {
   var keyCode = window.event ? e.keyCode : e.which;
-  if ((13 == keyCode || 32 == keyCode) && f == 0) {
+  if ((13 == keyCode || 32 == keyCode) && f == 0 && !isTyping(e)) {
     getNum();
     $("num").blur();
     return false;
@@ -141,7 +451,7 @@ document.onkeydown = function (e) {
 var tm = false;
 
 function settime(vs, vx) {
-  if (tm) return;
+  if (tm || !$("time")) return;
   setTimeout(function () {
     vx += 50;
     if (vx > vs) vx = vs;
@@ -158,49 +468,76 @@ function storage(n) {
         $("settime").value = settings.settime;
         settime(settings.settime, 0);
       }
-      if ("bc" in settings) {
-        $("bc").value = settings.bc;
-        $("out").style.backgroundColor = settings.bc;
-      }
-      if ("tc" in settings) {
-        $("tc").value = settings.tc;
-        $("out").style.color = settings.tc;
-      }
-      if ("tsc" in settings) $("tsc").value = settings.tsc;
-      if ("ttc" in settings) {
-        $("ttc").value = settings.ttc;
-        $("t").style.color = settings.ttc;
-      }
       if ("repeat" in settings)
         $("repeat").checked = settings.repeat == 1 ? true : false;
       if ("manual" in settings) {
         $("manual").checked = settings.manual == 1 ? true : false;
         manuald();
       }
+      if ("count" in settings) $("count").value = settings.count;
+      if ("mode" in settings) $("mode").value = settings.mode;
+      if ("groupBy" in settings) $("group-by").value = settings.groupBy;
+      if ("groupValue" in settings) $("group-value").value = settings.groupValue;
+      ["seat-rows", "seat-cols", "seat-blocked", "seat-apart", "seat-front"].forEach((id) => {
+        if (id in settings) $(id).value = settings[id];
+      });
+      ["auto-mode", "auto-interval", "auto-unit", "auto-times"].forEach((id) => {
+        if (id in settings) $(id).value = settings[id];
+      });
+      if ("bracketType" in settings) $("bracket-type").value = settings.bracketType;
+      if ("dice" in settings) $("dice").value = settings.dice;
+      if ("coins" in settings) $("coins").value = settings.coins;
+      if ("prizes" in settings) $("prizes").value = settings.prizes;
+      if ("precision" in settings) $("precision").value = settings.precision;
+      if ("easing" in settings) $("easing").value = settings.easing;
+      if ("balanced" in settings) $("balanced").checked = settings.balanced;
+      if ("cooldown" in settings) $("cooldown").value = settings.cooldown;
+      if ("cooldownUnit" in settings) $("cooldown-unit").value = settings.cooldownUnit;
+      if ("weights" in settings) $("weights").value = settings.weights;
+      if ("seeded" in settings)
+        $("seeded").checked = settings.seeded == 1 ? true : false;
+      if ("seed" in settings) $("seed").value = settings.seed;
+      if ("rosterMode" in settings)
+        $("roster-mode").checked = settings.rosterMode == 1 ? true : false;
     }
   }
   var setting = new Object();
   setting.settime = $("settime").value;
-  setting.bc = $("bc").value;
-  setting.tc = $("tc").value;
-  setting.tsc = $("tsc").value;
-  setting.ttc = $("ttc").value;
   setting.repeat = $("repeat").checked ? 1 : 0;
-  setting.note = $("note").checked ? 1 : 0;
   setting.manual = $("manual").checked ? 1 : 0;
-  setting.position = $("position").value;
-  setting.fs = $("fontsize").value;
+  setting.count = $("count").value;
+  setting.mode = $("mode").value;
+  setting.groupBy = $("group-by").value;
+  setting.groupValue = $("group-value").value;
+  ["seat-rows", "seat-cols", "seat-blocked", "seat-apart", "seat-front"].forEach(
+    (id) => (setting[id] = $(id).value)
+  );
+  ["auto-mode", "auto-interval", "auto-unit", "auto-times"].forEach(
+    (id) => (setting[id] = $(id).value)
+  );
+  setting.bracketType = $("bracket-type").value;
+  setting.dice = $("dice").value;
+  setting.coins = $("coins").value;
+  setting.prizes = $("prizes").value;
+  setting.precision = $("precision").value;
+  setting.easing = $("easing").value;
+  setting.balanced = $("balanced").checked;
+  setting.cooldown = $("cooldown").value;
+  setting.cooldownUnit = $("cooldown-unit").value;
+  setting.weights = $("weights").value;
+  setting.seeded = $("seeded").checked ? 1 : 0;
+  setting.seed = $("seed").value;
+  setting.rosterMode = $("roster-mode").checked ? 1 : 0;
   localStorage.setItem("suijishu", JSON.stringify(setting));
 }
 
 function manuald() {
   var check = $("manual").checked;
-  $("timeout").style.display = check ? "none" : "inline-block";
-  $("manualtips").style.display = check ? "inline-block" : "none";
-  if (!check) {
-    m = 0;
-    sec = new Date().getTime();
-  }
+  if ($("timeout")) $("timeout").style.display = check ? "none" : "inline-block";
+  if ($("manualtips"))
+    $("manualtips").style.display = check ? "inline-block" : "none";
+  // 关闭手动时结束正在进行的抽取
+  if (!check && engine.state == "rolling") engine.stop();
 }
 
 function setSelectChecked(id, val) {
@@ -218,14 +555,47 @@ function setSelectChecked(id, val) {
 function getExcludedNumbersFromStorage(labelValue) {
   if (!localStorage.getItem("excludeLabels")) return [];
   var labels = JSON.parse(localStorage.getItem("excludeLabels"));
-  return labels[labelValue] || [];
+  return (labels[labelValue] || []).filter((item) => typeof item != "object");
+}
+
+// 从 localStorage 获取标签中的筛选条件，保存在排除数组中的 { filter } 项
+function getFilterFromStorage(labelValue) {
+  if (!localStorage.getItem("excludeLabels")) return "";
+  var labels = JSON.parse(localStorage.getItem("excludeLabels"));
+  var item = (labels[labelValue] || []).find((item) => typeof item == "object");
+  return item ? item.filter : "";
+}
+
+// 按标签中的筛选条件过滤抽取池，数字过多无法过滤时返回 null
+function applyFilter(pool, labelValue) {
+  var filter = getFilterFromStorage(labelValue);
+  if (!filter) return pool;
+  return filterPool(pool, compileFilter(filter).test);
+}
+
+// 检查筛选条件，有误时在输入框中提示出错位置
+function checkFilter() {
+  const field = $("exclude-filter");
+  if (!field.value.trim()) {
+    field.setCustomValidity("");
+    return true;
+  }
+  var result = compileFilter(field.value);
+  if (result.error) {
+    field.setCustomValidity(result.error + "（第 " + (result.start + 1) + " 个字符）");
+    field.setSelectionRange(result.start, result.end);
+    return false;
+  }
+  field.setCustomValidity("");
+  return true;
 }
 
 // 保存排除标签
 function saveExcludeLabel() {
   const labelName = $("exclude-label-name").value;
   const excludeStr = $("excludeNums").value;
-  if (!labelName || !excludeStr) return;
+  const filter = $("exclude-filter").value.trim();
+  if (!labelName || (!excludeStr && !filter) || !checkFilter()) return;
 
   var labels = localStorage.getItem("excludeLabels")
     ? JSON.parse(localStorage.getItem("excludeLabels"))
@@ -234,7 +604,8 @@ function saveExcludeLabel() {
     .split(",")
     .map((num) => num.trim())
     .filter((num) => num)
-    .map(Number);
+    .map((num) => (isNaN(num) ? num : Number(num))); // 非数字的排除项按姓名处理
+  if (filter) labels[labelName].push({ filter: filter });
   localStorage.setItem("excludeLabels", JSON.stringify(labels));
 
   const select = $("set-exclude-label");
@@ -245,6 +616,7 @@ function saveExcludeLabel() {
 
   $("exclude-label-name").value = "";
   $("excludeNums").value = "";
+  $("exclude-filter").value = "";
   showSettingsSavedSnackbar();
 }
 
@@ -267,6 +639,13 @@ window.onload = function () {
     }
   }
 
+  // 加载点名名单和以往的历史记录
+  loadRoster();
+  loadRecords();
+
   // 加载其他设置
   storage(1);
+  modeChanged();
+  updateRaffleInfo();
+  showAutoFields();
 };
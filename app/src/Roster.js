@@ -0,0 +1,96 @@
+var roster = new Map(); // 点名名单：座号 -> 姓名
+
+// 解析名单，每行一个姓名，或 "座号,姓名"
+// 未写座号的姓名接着上一个座号依次编号；首行为 "学号,姓名" 一类的表头时跳过
+// 成功时返回 { roster }，失败时返回 { error, line }
+function parseRoster(text) {
+  var result = new Map(),
+    next = 1,
+    lines = text.split(/\r?\n/);
+  for (var i = 0; i < lines.length; i++) {
+    var line = lines[i].trim();
+    if (!line) continue;
+    var match = /^(\d+)\s*[,，\t]\s*(.+)$/.exec(line),
+      num,
+      name;
+    if (match) {
+      num = Number(match[1]);
+      name = match[2].trim();
+    } else if (/[,，\t]/.test(line)) {
+      if (result.size == 0 && i == lines.findIndex((l) => l.trim())) continue;
+      return { error: "第 " + (i + 1) + " 行的座号格式错误", line: i + 1 };
+    } else {
+      num = next;
+      name = line;
+    }
+    if (result.has(num))
+      return { error: "第 " + (i + 1) + " 行的座号 " + num + " 与前面重复", line: i + 1 };
+    result.set(num, name);
+    next = num + 1;
+  }
+  return { roster: result };
+}
+
+// 从 localStorage 加载名单
+function loadRoster() {
+  var text = localStorage.getItem("roster") || "";
+  $("roster").value = text;
+  roster = parseRoster(text).roster || new Map();
+}
+
+// 保存名单
+function saveRoster() {
+  const field = $("roster");
+  var result = parseRoster(field.value);
+  if (result.error) {
+    field.setCustomValidity(result.error);
+    return;
+  }
+  field.setCustomValidity("");
+  roster = result.roster;
+  localStorage.setItem("roster", field.value);
+  // 名单变化后重新开始本轮
+  engine.clearHistory();
+  engine.clearSeed();
+  order = null;
+  showSettingsSavedSnackbar();
+}
+
+// 从 txt / csv 文件导入名单
+function importRosterFile(input) {
+  var file = input.files[0];
+  if (!file) return;
+  var reader = new FileReader();
+  reader.onload = () => {
+    $("roster").value = reader.result;
+    input.value = "";
+  };
+  reader.readAsText(file);
+}
+
+// 点名模式下的抽取范围：名单中的全部座号
+function rosterRange() {
+  var nums = Array.from(roster.keys()).sort((a, b) => a - b);
+  return { segments: [{ list: nums }], scale: 1 };
+}
+
+// 由姓名查找座号，找不到时返回 NaN
+function rosterNumberOf(name) {
+  for (var [num, n] of roster) {
+    if (n == name) return num;
+  }
+  return NaN;
+}
+
+// 抽取结果的显示文本：点名模式下为姓名，否则为数字
+function labelOf(value) {
+  if ($("roster-mode").checked && roster.has(value)) return roster.get(value);
+  return formatNum(value);
+}
+
+// 记录和复制用的文本：点名模式下为 "座号 姓名"
+function fullLabelOf(value) {
+  if ($("roster-mode").checked && roster.has(value))
+    return value + " " + roster.get(value);
+  return formatNum(value);
+}
@@ -0,0 +1,186 @@
+var seating = null; // 本次运行中最近一次保存的座位表，重新生成时替换它
+const FRONT_ROWS = 2; // 前排指最前面的两排
+
+// 解析不可用的座位，如 "1:3, 2:4, *:5"，* 表示整行或整列（过道、讲台等）
+// 返回判断函数 blocked(row, col)，行列从 1 开始；格式错误时返回 null
+function parseBlocked(str) {
+  var cells = [];
+  for (var item of str.split(/[,，]/)) {
+    item = item.trim();
+    if (!item) continue;
+    var match = /^(\d+|\*)\s*[:：]\s*(\d+|\*)$/.exec(item);
+    if (!match) return null;
+    cells.push([match[1], match[2]]);
+  }
+  return (row, col) =>
+    cells.some(([r, c]) => (r == "*" || Number(r) == row) && (c == "*" || Number(c) == col));
+}
+
+// 解析分开坐的名单，如 "3/7/12, 小明/小红"，每组中的人互不相邻
+function parseApart(str) {
+  return str
+    .split(/[,，]/)
+    .map((group) => group.split("/").map(resolveMember).filter((num) => num !== null))
+    .filter((group) => group.length > 1);
+}
+
+// 将名单中的一项解析为数字，点名模式下也可以填写姓名
+function resolveMember(text) {
+  text = text.trim();
+  if (!text) return null;
+  if (!isNaN(text)) return Number(text);
+  var num = rosterNumberOf(text);
+  return isNaN(num) ? null : num;
+}
+
+function loadAllSeatHistory() {
+  return JSON.parse(localStorage.getItem("seatHistory") || "{}");
+}
+
+// 当前范围或名单以往的座位表 [{ time, grid }]，按范围分别记录（见 balanceKey）
+function loadSeatHistory() {
+  return loadAllSeatHistory()[balanceKey()] || [];
+}
+
+function saveSeatHistory(charts) {
+  var all = loadAllSeatHistory();
+  all[balanceKey()] = charts.slice(-10);
+  localStorage.setItem("seatHistory", JSON.stringify(all));
+}
+
+// 座位表中前后左右相邻的两人
+function neighbourPairs(grid) {
+  var pairs = [];
+  grid.forEach((row, r) =>
+    row.forEach((num, c) => {
+      if (num == null) return;
+      if (row[c + 1] != null) pairs.push([num, row[c + 1]]);
+      if (grid[r + 1] && grid[r + 1][c] != null) pairs.push([num, grid[r + 1][c]]);
+    })
+  );
+  return pairs;
+}
+
+// 座位安排的代价：违反分开坐和前排要求的记 10 分，与上次相邻的每对记 1 分
+function seatingCost(grid, rules) {
+  var cost = 0;
+  neighbourPairs(grid).forEach(([a, b]) => {
+    var key = pairKey(a, b);
+    if (rules.apart.has(key)) cost += 10;
+    if (rules.previous.has(key)) cost += 1;
+  });
+  grid.forEach((row, r) =>
+    row.forEach((num) => {
+      if (r >= FRONT_ROWS && rules.front.has(num)) cost += 10;
+    })
+  );
+  return cost;
+}
+
+// 将抽取池中的所有人随机安排到座位上，并尽量满足约束
+function makeSeats(pool) {
+  var total = poolAvailable(pool),
+    rows = Math.max(1, parseInt($("seat-rows").value) || 1),
+    cols = Math.max(1, parseInt($("seat-cols").value) || 1),
+    blocked = parseBlocked($("seat-blocked").value);
+  if (!blocked) return showMessage("不可用座位的格式错误，应为 行:列，用英文逗号分隔");
+  if (rows * cols > 400) return showMessage("教室最多 400 个座位");
+
+  // 可以坐的位置，行列从 0 开始
+  var seats = [];
+  for (var r = 0; r < rows; r++)
+    for (var c = 0; c < cols; c++) if (!blocked(r + 1, c + 1)) seats.push([r, c]);
+  if (total == 0) return showMessage("没有可以安排座位的数字");
+  if (total > seats.length)
+    return showMessage("座位不足：共 " + seats.length + " 个座位，" + total + " 人");
+
+  var people = [];
+  for (var k = 0; k < total; k++) people.push(poolNth(pool, k));
+  while (people.length < seats.length) people.push(null); // 空座位
+
+  // 分开坐的每组中两两不能相邻；上次相邻的两人尽量不再相邻
+  var rules = { apart: new Set(), previous: new Set(), front: new Set() };
+  parseApart($("seat-apart").value).forEach((group) =>
+    group.forEach((a, i) => group.slice(i + 1).forEach((b) => rules.apart.add(pairKey(a, b))))
+  );
+  $("seat-front").value.split(/[,，]/).map(resolveMember).forEach((num) => {
+    if (num !== null) rules.front.add(num);
+  });
+  var charts = loadSeatHistory();
+  if (charts.length)
+    neighbourPairs(charts[charts.length - 1].grid).forEach(([a, b]) =>
+      rules.previous.add(pairKey(a, b))
+    );
+
+  // 随机安排后反复交换两个座位，代价不增加时保留交换
+  function toGrid() {
+    var grid = Array.from({ length: rows }, () => Array(cols).fill(undefined));
+    seats.forEach(([r, c], i) => (grid[r][c] = people[i]));
+    return grid;
+  }
+  engine.shuffle(people);
+  var grid = toGrid(),
+    cost = seatingCost(grid, rules);
+  for (var step = 0; step < 5000 && cost > 0; step++) {
+    var i = engine.randomInt(seats.length),
+      j = engine.randomInt(seats.length);
+    [people[i], people[j]] = [people[j], people[i]];
+    var next = toGrid(),
+      nextCost = seatingCost(next, rules);
+    if (nextCost <= cost) {
+      grid = next;
+      cost = nextCost;
+    } else [people[i], people[j]] = [people[j], people[i]];
+  }
+  if (cost >= 10) showMessage("无法满足全部座位要求，已尽量安排");
+
+  renderSeats(grid);
+  seating = { key: balanceKey(), time: Date.now() };
+  saveSeatHistory(charts.concat([{ time: seating.time, grid: grid }]));
+
+  var text = seatsText(grid);
+  $("board").dataset.copy = text;
+  addBoardHistory("座位表", text);
+}
+
+// 座位表的文本，每排一行、以制表符分隔，可以直接粘贴到表格中
+function seatsText(grid) {
+  return (
+    "讲台\n" +
+    grid
+      .map((row) => row.map((num) => (num === undefined ? "" : num === null ? "-" : fullLabelOf(num))).join("\t"))
+      .join("\n")
+  );
+}
+
+// 在主页以表格显示座位表，讲台在最前方
+function renderSeats(grid) {
+  const content = $("board-content");
+  content.innerHTML = "";
+  const table = document.createElement("table");
+  table.className = "seat-chart";
+
+  const desk = document.createElement("caption");
+  desk.textContent = "讲台";
+  table.appendChild(desk);
+
+  grid.forEach((row) => {
+    const tr = document.createElement("tr");
+    row.forEach((num) => {
+      const td = document.createElement("td");
+      if (num === undefined) td.className = "blocked";
+      else if (num === null) td.className = "empty";
+      else td.textContent = fullLabelOf(num);
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  });
+  content.appendChild(table);
+}
+
+// 重新生成前撤销本次运行中刚保存的座位表，避免它影响新的结果
+function undoSeats() {
+  if (!seating || seating.key != balanceKey()) return;
+  saveSeatHistory(loadSeatHistory().filter((chart) => chart.time != seating.time));
+  seating = null;
+}
@@ -0,0 +1,82 @@
+var session = null; // 当前会话 { id, key, settings, item, body, count }
+
+// 当前生效的抽取设置，记入每条记录
+function currentSettings() {
+  return {
+    mode: $("mode").value,
+    range: $("roster-mode").checked ? "roster" : $("num").value,
+    label: $("set-exclude-label").value,
+    repeat: $("repeat").checked,
+    manual: $("manual").checked,
+  };
+}
+
+// 设置的简要说明，如 "抽取数字 · 1-55 · 排除：缺勤 · 不重复"
+function settingsSummary(settings) {
+  const modeItem = document.querySelector('#mode mdui-menu-item[value="' + settings.mode + '"]');
+  return [
+    modeItem ? modeItem.textContent : settings.mode,
+    settings.range == "roster" ? "点名" : settings.range,
+    settings.label ? "排除：" + settings.label : "",
+    settings.repeat ? "不重复" : "",
+  ]
+    .filter((text) => text)
+    .join(" · ");
+}
+
+// 创建一个折叠的会话面板，插入到 before 之前（默认在最后）
+function createSessionItem(id, settings, before) {
+  const item = document.createElement("mdui-collapse-item");
+  item.value = String(id);
+  const body = document.createElement("div");
+  body.className = "session-body";
+  item.appendChild(body);
+  $("history-list").insertBefore(item, before || null);
+  return { id: id, settings: settings, item: item, body: body, count: 0 };
+}
+
+// 会话标题：开始时间、设置和记录条数
+function updateSessionHeader(s) {
+  s.item.header =
+    new Date(s.id).toLocaleString([], {
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      weekday: "short",
+      hour: "2-digit",
+      minute: "2-digit",
+    }) +
+    " · " +
+    settingsSummary(s.settings) +
+    " · " +
+    s.count +
+    " 条";
+}
+
+// 开始新的会话并展开它，其余会话折叠
+function startSession() {
+  var settings = currentSettings();
+  session = createSessionItem(Date.now(), settings);
+  session.key = JSON.stringify(settings);
+  updateSessionHeader(session);
+  $("history-list").value = [String(session.id)];
+  return session;
+}
+
+// 范围或设置变化后的第一次抽取开始新的会话
+function ensureSession() {
+  if (!session || session.key != JSON.stringify(currentSettings())) startSession();
+  return session;
+}
+
+// 在会话中添加一条带时间的记录，返回新增的 chip
+function addSessionChip(s, text, time) {
+  const newChip = document.createElement("mdui-chip");
+  newChip.textContent = time.toLocaleTimeString() + " " + text;
+  newChip.title = time.toLocaleString() + " · " + settingsSummary(s.settings);
+  newChip.style.margin = "4px";
+  s.body.appendChild(newChip);
+  s.count++;
+  updateSessionHeader(s);
+  return newChip;
+}
@@ -0,0 +1,203 @@
+// ln Γ(x)（Lanczos 近似）
+function logGamma(x) {
+  var cof = [
+      76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5,
+    ],
+    y = x,
+    tmp = x + 5.5,
+    ser = 1.000000000190015;
+  tmp -= (x + 0.5) * Math.log(tmp);
+  for (var j = 0; j < 6; j++) ser += cof[j] / ++y;
+  return -tmp + Math.log((2.5066282746310005 * ser) / x);
+}
+
+// 正则化上不完全伽马函数 Q(a, x)，x < a + 1 时用级数，否则用连分式
+function gammaQ(a, x) {
+  if (x <= 0) return 1;
+  var front = Math.exp(-x + a * Math.log(x) - logGamma(a));
+  if (x < a + 1) {
+    var ap = a,
+      del = 1 / a,
+      sum = del;
+    for (var n = 0; n < 1000; n++) {
+      del *= x / ++ap;
+      sum += del;
+      if (Math.abs(del) < Math.abs(sum) * 1e-14) break;
+    }
+    return 1 - sum * front;
+  }
+  var b = x + 1 - a,
+    q = 1e300,
+    d = 1 / b,
+    h = d;
+  for (var i = 1; i < 1000; i++) {
+    var an = -i * (i - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    q = b + an / q;
+    if (Math.abs(q) < 1e-300) q = 1e-300;
+    d = 1 / d;
+    h *= d * q;
+    if (Math.abs(d * q - 1) < 1e-14) break;
+  }
+  return front * h;
+}
+
+// 卡方拟合优度检验，返回 { chi2, df, p }
+function chiSquareTest(observed, expected) {
+  var chi2 = observed.reduce(
+    (sum, o, i) => sum + Math.pow(o - expected[i], 2) / expected[i],
+    0
+  );
+  var df = observed.length - 1;
+  return { chi2: chi2, df: df, p: df > 0 ? gammaQ(df / 2, chi2 / 2) : 1 };
+}
+
+// 决定抽取池和期望分布的设置：范围、排除标签和权重，只有相同设置下的抽取才放在一起统计
+function drawContext() {
+  return {
+    range: currentSettings().range,
+    label: $("set-exclude-label").value,
+    weights: $("weights").value,
+  };
+}
+
+// 记入统计，返回这次抽取是否可用于卡方检验
+// 只有可重复抽取、每次一个且不受冷却、均衡和今日排除影响的抽取才相互独立
+function logDraws(values) {
+  var context = drawContext(),
+    independent =
+      $("mode").value == "draw" &&
+      !$("repeat").checked &&
+      !getCooldown() &&
+      !balanceActive() &&
+      !getTodayExcluded().length &&
+      values.length == 1;
+  values.forEach((value) =>
+    drawLog.push(Object.assign({ value: value, independent: independent }, context))
+  );
+  return independent;
+}
+
+// 从统计中移除作废的结果，每个值只移除最近的一次
+function unlogDraws(values) {
+  values.forEach((value) => {
+    var i = drawLog.findLastIndex((entry) => entry.value === value);
+    if (i != -1) drawLog.splice(i, 1);
+  });
+}
+
+// 生成统计页内容：各数字的抽中次数、期望与实际频率，以及卡方检验结果
+function renderStats() {
+  const summary = $("stats-summary"),
+    table = $("stats-table");
+  table.innerHTML = "";
+
+  var parsed = $("roster-mode").checked
+    ? rosterRange()
+    : parseRange($("num").value, Number($("precision").value));
+  if (!parsed.segments) {
+    summary.textContent = "抽取范围格式错误，无法统计";
+    return;
+  }
+  // 与抽取时相同：移除标签排除的数字和今日排除的数字
+  var pool = createPool(parsed);
+  removeExcluded(
+    pool,
+    getExcludedNumbersFromStorage($("set-exclude-label").value).concat(getTodayExcluded())
+  );
+  pool = applyFilter(pool, $("set-exclude-label").value);
+  if (!pool) {
+    summary.textContent = "当前范围内的数字过多，不进行统计";
+    return;
+  }
+  var total = poolAvailable(pool);
+  if (total > 1000) {
+    summary.textContent = "当前范围内有 " + total + " 个数字，超过 1000 个时不进行统计";
+    return;
+  }
+
+  // 只统计在相同设置下抽到的、当前抽取池中的数字
+  var nums = [];
+  for (var k = 0; k < total; k++) nums.push(poolNth(pool, k));
+  var counts = new Map(nums.map((num) => [num, 0])),
+    independentCounts = new Map(nums.map((num) => [num, 0])),
+    context = drawContext(),
+    outside = 0;
+  drawLog.forEach((entry) => {
+    if (
+      entry.range != context.range ||
+      entry.label != context.label ||
+      entry.weights != context.weights ||
+      !counts.has(entry.value)
+    )
+      return outside++;
+    counts.set(entry.value, counts.get(entry.value) + 1);
+    if (entry.independent)
+      independentCounts.set(entry.value, independentCounts.get(entry.value) + 1);
+  });
+
+  var n = drawLog.length - outside,
+    rules = parseWeights($("weights").value) || [],
+    weights = nums.map((num) => weightOf(num, rules)),
+    weightSum = weights.reduce((sum, w) => sum + w, 0),
+    observed = nums.map((num) => counts.get(num)),
+    expected = weights.map((w) => (n * w) / weightSum);
+  if (n == 0 || nums.length < 2) {
+    summary.textContent = "当前范围内还没有足够的抽取记录";
+    return;
+  }
+
+  // 卡方检验要求各次抽取相互独立，只使用可重复抽取、每次一个的记录（见 logDraws）
+  var tested = nums.map((num) => independentCounts.get(num)),
+    m = tested.reduce((sum, o) => sum + o, 0),
+    lines = ["共 " + n + " 次抽取，" + nums.length + " 个数字"];
+  if (m == 0) {
+    lines.push(
+      "没有相互独立的抽取记录，不进行卡方检验：不重复、冷却、均衡、今日排除、一次抽取多个以及抽奖和随机排序的结果都不是独立的"
+    );
+  } else {
+    var testExpected = weights.map((w) => (m * w) / weightSum),
+      result = chiSquareTest(tested, testExpected);
+    if (m < n)
+      lines.push(
+        "其中 " + (n - m) + " 次抽取不是相互独立的（不重复、冷却、均衡、今日排除或一次抽取多个），未计入卡方检验"
+      );
+    lines.push(
+      "χ² = " + result.chi2.toFixed(2) + "，自由度 " + result.df + "，p = " + result.p.toFixed(4),
+      result.p < 0.05
+        ? "p < 0.05：抽取结果与期望分布存在显著差异"
+        : "p ≥ 0.05：未发现抽取结果偏离期望分布"
+    );
+    if (testExpected.some((e) => e < 5)) lines.push("部分数字的期望次数少于 5，检验结果仅供参考");
+  }
+  if (outside) lines.push("另有 " + outside + " 次在其他范围、排除标签或权重设置下的抽取未计入");
+  summary.innerText = lines.join("\n");
+
+  var max = Math.max(...observed, ...expected);
+  table.innerHTML = "<tr><th>数字</th><th>抽中次数</th><th>期望次数</th><th>实际 / 期望频率</th><th></th></tr>";
+  nums.forEach((num, i) => {
+    const row = document.createElement("tr");
+    [
+      fullLabelOf(num),
+      observed[i],
+      expected[i].toFixed(2),
+      ((observed[i] / n) * 100).toFixed(1) + "% / " + ((expected[i] / n) * 100).toFixed(1) + "%",
+    ].forEach((text) => {
+      const cell = document.createElement("td");
+      cell.textContent = text;
+      row.appendChild(cell);
+    });
+
+    // 实际次数的条形图，竖线标出期望次数
+    const bar = document.createElement("td");
+    bar.className = "stats-bar";
+    bar.innerHTML =
+      '<div style="width: ' + (observed[i] / max) * 100 + '%"></div>' +
+      '<span style="left: ' + (expected[i] / max) * 100 + '%"></span>';
+    row.appendChild(bar);
+    table.appendChild(row);
+  });
+}
@@ -0,0 +1,44 @@
+var lastDraw = null; // 最近一次抽取的结果 { values, chips, prize, balanced }，作废后清空
+
+// 今日排除的数字，日期变化后自动失效
+function getTodayExcluded() {
+  var today = JSON.parse(localStorage.getItem("excludeToday") || "null");
+  if (!today || today.date != new Date().toDateString()) return [];
+  return today.list;
+}
+
+// 将数字加入今日排除
+function excludeToday(values) {
+  localStorage.setItem(
+    "excludeToday",
+    JSON.stringify({ date: new Date().toDateString(), list: getTodayExcluded().concat(values) })
+  );
+}
+
+// 作废最近一次的结果：从本轮记录和统计中移除，并在历史记录中标注原因
+// 选择今日排除时这些数字今天不再抽取，否则放回抽取池；redraw 为 true 时立即补抽相同数量
+function voidLast(redraw) {
+  if (!lastDraw || engine.busy()) return;
+  var reason = $("void-reason").value,
+    values = lastDraw.values;
+
+  engine.unrecord(values);
+  // 统计页也不再计入作废的结果
+  unlogDraws(values);
+  lastDraw.chips.forEach((chip) => {
+    chip.classList.add("voided");
+    chip.textContent += "（" + reason + "）";
+  });
+  if (lastDraw.prize) unassignPrize(lastDraw.prize, values);
+  if (lastDraw.balanced) addBalance(values, -1);
+  if ($("void-action").value == "today") excludeToday(values);
+  saveRecord(values.map(fullLabelOf), { values: values, voided: reason });
+
+  lastDraw = null;
+  $("btn-void").disabled = true;
+  $("out").classList.remove("multi");
+  $("out").textContent = "-";
+  updateNotes();
+  document.querySelector(".void-dialog").open = false;
+  if (redraw) getNum(values.length);
+}
@@ -69,11 +69,35 @@ function openBlockDialog() {
   closeButton2.addEventListener("click", () => (blockDialog.open = false));
 }
 
-function copyToClipboard1() {
-  const outContent = document.getElementById("out").innerText; // 获取 div#out 的内容
+function openWeightDialog() {
+  const weightDialog = document.querySelector(".weight-dialog");
+  const closeButton = weightDialog.querySelector(".close-weight-dialog");
+
+  weightDialog.open = true;
+  closeButton.addEventListener("click", () => (weightDialog.open = false));
+}
+
+function openVoidDialog() {
+  const voidDialog = document.querySelector(".void-dialog");
+  const closeButton = voidDialog.querySelector(".close-void-dialog");
+
+  $("void-values").textContent = lastDraw ? lastDraw.values.map(fullLabelOf).join(", ") : "";
+  voidDialog.open = true;
+  closeButton.addEventListener("click", () => (voidDialog.open = false));
+}
 
+function openRosterDialog() {
+  const rosterDialog = document.querySelector(".roster-dialog");
+  const closeButton = rosterDialog.querySelector(".close-roster-dialog");
+
+  rosterDialog.open = true;
+  closeButton.addEventListener("click", () => (rosterDialog.open = false));
+}
+
+// 复制文本并显示结果反馈
+function copyText(text) {
   navigator.clipboard
-    .writeText(outContent)
+    .writeText(text)
     .then(() => {
       // 复制成功的反馈
       const copySuccessSnackbar = document.querySelector(
@@ -103,39 +127,28 @@ function copyToClipboard1() {
     });
 }
 
+function copyToClipboard1() {
+  // 获取 div#out 的内容，点名模式下复制 "座号 姓名"
+  const out = document.getElementById("out");
+  copyText(out.dataset.copy || out.innerText);
+}
+
 function copyToClipboard2() {
   // 获取 div#notes 的内容
-  const notesContent = document.getElementById("notes").innerText;
-
-  navigator.clipboard
-    .writeText(notesContent)
-    .then(() => {
-      // 复制成功的反馈
-      const copySuccessSnackbar = document.querySelector(
-        ".copySuccessSnackbar"
-      );
-
-      // 如果当前 SnackBar 正在显示，先关闭它
-      if (copySuccessSnackbar.open) {
-        copySuccessSnackbar.open = false;
-      }
+  copyText(document.getElementById("notes").innerText);
+}
 
-      // 显示新的 SnackBar
-      copySuccessSnackbar.open = true;
-    })
-    .catch((err) => {
-      // 复制失败的反馈
-      const copyErrorSnackbar = document.querySelector(".copyErrorSnackbar");
+// 显示一条提示信息
+function showMessage(text) {
+  const messageSnackbar = document.querySelector(".messageSnackbar");
 
-      // 如果当前 SnackBar 正在显示，先关闭它
-      if (copyErrorSnackbar.open) {
-        copyErrorSnackbar.open = false;
-      }
+  // 如果当前 SnackBar 正在显示，先关闭它
+  if (messageSnackbar.open) {
+    messageSnackbar.open = false;
+  }
 
-      // 显示新的 SnackBar
-      copyErrorSnackbar.open = true;
-      console.error("复制失败:", err);
-    });
+  messageSnackbar.querySelector("span").textContent = text;
+  messageSnackbar.open = true;
 }
 
 // 显示设置已保存反馈
@@ -169,6 +182,10 @@ function navigate(pageId) {
     document.getElementById("toMain").setAttribute("active", "");
   } else if (pageId === "historyPage") {
     document.getElementById("toHistory").setAttribute("active", "");
+    updateNotes(); // 按分钟计的冷却会随时间结束
+  } else if (pageId === "statsPage") {
+    document.getElementById("toStats").setAttribute("active", "");
+    renderStats();
   }
 }
 
@@ -179,4 +196,5 @@ document.getElementById("toSettings").onclick = function () {
   // 取消其他导航栏项的 active 属性
   document.getElementById("toMain").removeAttribute("active");
   document.getElementById("toHistory").removeAttribute("active");
+  document.getElementById("toStats").removeAttribute("active");
 };
\ No newline at end of file
@@ -0,0 +1,138 @@
+// 抽取引擎的测试，运行：npm test
+const test = require("node:test");
+const assert = require("node:assert");
+const {
+  createDrawEngine,
+  parseRange,
+  parseWeights,
+  createPool,
+  poolAvailable,
+  filterPool,
+  drawFromPool,
+} = require("../src/DrawEngine.js");
+
+test("筛选后的抽取池在各段不按大小排列时也能正确移除已抽取的数字", () => {
+  var engine = createDrawEngine();
+  engine.useSeed("filter");
+  var pool = filterPool(createPool(parseRange("20-30, 1-10", 0)), (num) => num % 2 == 0);
+  assert.strictEqual(poolAvailable(pool), 11);
+
+  // 一轮不重复地逐个抽完，每个数字只能出现一次
+  var drawn = [];
+  while (poolAvailable(pool)) drawn.push(...drawFromPool(pool, 1, [], engine));
+  assert.deepStrictEqual(
+    drawn.sort((a, b) => a - b),
+    [2, 4, 6, 8, 10, 20, 22, 24, 26, 28, 30]
+  );
+});
+
+test("所有数字的权重都很小时也能立即抽出", () => {
+  var engine = createDrawEngine();
+  engine.useSeed("weights");
+  [
+    ["1-5", "1-5:0.000001"],
+    ["1-2000000", "1-1000000:0.000001, 1000001-2000000:0.000002"],
+  ].forEach(([range, weights]) => {
+    var pool = createPool(parseRange(range, 0)),
+      start = Date.now();
+    assert.strictEqual(drawFromPool(pool, 3, parseWeights(weights), engine).length, 3);
+    assert.ok(Date.now() - start < 1000);
+  });
+});
+
+// 记录引擎触发的事件
+function watch(engine) {
+  var events = [];
+  ["idle", "rolling", "stopping", "done", "exhausted"].forEach((type) =>
+    engine.on(type, () => events.push(type))
+  );
+  return events;
+}
+
+test("抽取依次经过 rolling、stopping、done，并按 duration 和 settle 计时", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  var engine = createDrawEngine(),
+    events = watch(engine),
+    settled = null;
+  engine.on("stopping", (detail) => (settled = detail.settle));
+  assert.strictEqual(engine.state, "idle");
+
+  var started = engine.start(createPool(parseRange("1-10", 0)), {
+    count: 2,
+    duration: 1000,
+    settle: 500,
+  });
+  assert.ok(started);
+  assert.strictEqual(engine.state, "rolling");
+  assert.ok(engine.busy());
+
+  t.mock.timers.tick(999);
+  assert.strictEqual(engine.state, "rolling");
+  t.mock.timers.tick(1);
+  assert.strictEqual(engine.state, "stopping");
+  assert.strictEqual(settled, 500);
+  assert.strictEqual(engine.result.length, 2);
+
+  t.mock.timers.tick(499);
+  assert.strictEqual(engine.state, "stopping");
+  t.mock.timers.tick(1);
+  assert.strictEqual(engine.state, "done");
+  assert.ok(!engine.busy());
+  assert.deepStrictEqual(events, ["rolling", "stopping", "done"]);
+  assert.deepStrictEqual(engine.history, engine.result);
+});
+
+test("手动模式下调用 stop() 才停止，settle 为 0 时立即完成", (t) => {
+  t.mock.timers.enable({ apis: ["setTimeout"] });
+  var engine = createDrawEngine(),
+    events = watch(engine),
+    values = null;
+  engine.on("done", (detail) => (values = detail.values));
+
+  engine.start(createPool(parseRange("1-10", 0)), { count: 1, manual: true, duration: 100 });
+  t.mock.timers.tick(10000);
+  assert.strictEqual(engine.state, "rolling");
+
+  engine.stop();
+  assert.strictEqual(engine.state, "done");
+  assert.deepStrictEqual(events, ["rolling", "stopping", "done"]);
+  assert.deepStrictEqual(values, engine.result);
+  assert.ok(values[0] >= 1 && values[0] <= 10);
+});
+
+test("池中数字抽完后触发 exhausted，回到 idle 并清空本轮记录", () => {
+  var engine = createDrawEngine(),
+    events = watch(engine),
+    opts = { count: 1, manual: true, repeat: true };
+
+  [1, 2].forEach(() => {
+    assert.ok(engine.start(createPool(parseRange("1-2", 0)), opts));
+    engine.stop();
+  });
+  assert.deepStrictEqual(engine.history.slice().sort(), [1, 2]);
+
+  assert.strictEqual(engine.start(createPool(parseRange("1-2", 0)), opts), false);
+  assert.strictEqual(engine.state, "idle");
+  assert.deepStrictEqual(engine.history, []);
+  assert.deepStrictEqual(events.slice(-2), ["idle", "exhausted"]);
+
+  // 清空后可以开始新的一轮
+  assert.ok(engine.start(createPool(parseRange("1-2", 0)), opts));
+});
+
+test("相同种子得到相同的抽取序列", () => {
+  function sequence(seed) {
+    var engine = createDrawEngine(),
+      values = [];
+    engine.useSeed(seed);
+    for (var i = 0; i < 5; i++) {
+      engine.start(createPool(parseRange("1-100", 0)), { count: 3, manual: true, repeat: true });
+      engine.stop();
+      values.push(...engine.result);
+    }
+    return values;
+  }
+  assert.deepStrictEqual(sequence("abc"), sequence("abc"));
+  assert.notDeepStrictEqual(sequence("abc"), sequence("abd"));
+  assert.strictEqual(new Set(sequence("abc")).size, 15);
+});